@@ -0,0 +1,518 @@
+"use strict";
+
+// Schema for entries in config/airtable-automations.json: accepted keys and
+// their aliases, value types, and the Airtable field types each mapped field
+// may have. Used by the config loader (alias lists) and the validate command.
+
+const { getGenerator } = require("./generators");
+
+const TEXT_TYPES = ["singleLineText", "multilineText", "richText"];
+const DATE_TYPES = ["date", "dateTime", "createdTime", "lastModifiedTime"];
+// Computed fields whose value type depends on their options.
+const DERIVED_TYPES = ["formula", "rollup", "multipleLookupValues"];
+const PARTICIPANT_TYPES = [
+  "singleCollaborator",
+  "multipleCollaborators",
+  "createdBy",
+  "lastModifiedBy",
+  "email",
+  ...TEXT_TYPES,
+  ...DERIVED_TYPES,
+];
+
+// Fields Airtable computes itself; the processor cannot write to them.
+const COMPUTED_TYPES = new Set([
+  ...DERIVED_TYPES,
+  "count",
+  "autoNumber",
+  "createdTime",
+  "lastModifiedTime",
+  "createdBy",
+  "lastModifiedBy",
+  "button",
+  "externalSyncSource",
+  "aiText",
+]);
+
+// type:       "string" | "boolean" | "stringList" | "field" | "linkedFields" | "sessions"
+// aliases:    alternative key names, in the order the loader checks them
+// fieldTypes: Airtable field types accepted for a mapped field
+// writable:   the processor writes to the field
+// mustExist:  the field is read even when the key is left at its default, by
+//             generators that build "events" or a "contact"
+// configName: property name in the resolved config, when it differs
+const CONFIG_KEYS = {
+  baseId: { type: "string", aliases: ["airtableBaseId"], required: true },
+  tableId: { type: "string", aliases: ["tableName", "table"] },
+  icsField: {
+    type: "field",
+    aliases: ["attachmentField", "airtableIcsField"],
+    configName: "attachmentField",
+    required: true,
+    writable: true,
+    fieldTypes: ["multipleAttachments"],
+  },
+  updatedAtField: {
+    type: "field",
+    aliases: ["airtableUpdatedAtField"],
+    required: true,
+    writable: true,
+    fieldTypes: ["dateTime", "date", "singleLineText", "multilineText", "richText", "number"],
+  },
+  releaseTag: { type: "string" },
+  storage: { type: "string" },
+  storageBranch: { type: "string" },
+  storagePath: { type: "string" },
+  storageBaseUrl: { type: "string" },
+  s3Bucket: { type: "string" },
+  s3Region: { type: "string" },
+  s3Endpoint: { type: "string" },
+  eventNameField: {
+    type: "field",
+    aliases: ["summaryField", "titleField"],
+    mustExist: "events",
+  },
+  startField: {
+    type: "field",
+    mustExist: "events",
+    fieldTypes: [...DATE_TYPES, ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  endField: {
+    type: "field",
+    mustExist: "events",
+    fieldTypes: [...DATE_TYPES, ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  locationField: { type: "field" },
+  descriptionField: { type: "field" },
+  allDay: { type: "boolean" },
+  allDayField: {
+    type: "field",
+    fieldTypes: ["checkbox", "singleSelect", ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  timeZone: { type: "string", aliases: ["timezone"] },
+  timeZoneField: { type: "field", fieldTypes: ["singleSelect", ...TEXT_TYPES, ...DERIVED_TYPES] },
+  recurrenceField: {
+    type: "field",
+    aliases: ["rruleField"],
+    fieldTypes: ["singleSelect", ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  recurrenceUntilField: {
+    type: "field",
+    fieldTypes: [...DATE_TYPES, ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  recurrenceCountField: {
+    type: "field",
+    fieldTypes: ["number", ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  exceptionDatesField: {
+    type: "field",
+    aliases: ["exdateField"],
+    fieldTypes: [...DATE_TYPES, ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  viewName: { type: "string", aliases: ["view"] },
+  filterByFormula: { type: "string" },
+  feedViewName: { type: "string" },
+  feedFilterByFormula: { type: "string" },
+  feedFilename: { type: "string" },
+  feedName: { type: "string" },
+  feedOutputDir: { type: "string" },
+  hashField: { type: "field", writable: true, fieldTypes: ["singleLineText", "multilineText"] },
+  statusField: { type: "field", fieldTypes: ["singleSelect", ...TEXT_TYPES, ...DERIVED_TYPES] },
+  syncStatusField: {
+    type: "field",
+    writable: true,
+    fieldTypes: ["singleSelect", "singleLineText", "multilineText"],
+  },
+  errorField: { type: "field", writable: true, fieldTypes: TEXT_TYPES },
+  sequenceField: { type: "field", writable: true, fieldTypes: ["number"] },
+  uidField: { type: "field", fieldTypes: ["singleLineText", "multilineText"] },
+  organizerField: { type: "field", fieldTypes: PARTICIPANT_TYPES },
+  organizer: { type: "string" },
+  attendeesField: { type: "field", fieldTypes: PARTICIPANT_TYPES },
+  optionalAttendeesField: { type: "field", fieldTypes: PARTICIPANT_TYPES },
+  alarms: { type: "stringList" },
+  summaryTemplate: { type: "string" },
+  descriptionTemplate: { type: "string" },
+  locationTemplate: { type: "string" },
+  templateLocale: { type: "string", aliases: ["locale"] },
+  linkedFields: { type: "linkedFields" },
+  sessions: { type: "sessions" },
+  generator: { type: "string" },
+  filenamePattern: { type: "string" },
+  pageTemplate: { type: "string" },
+  fullNameField: {
+    type: "field",
+    mustExist: "contact",
+    fieldTypes: [...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  emailField: { type: "field", fieldTypes: PARTICIPANT_TYPES },
+  phoneField: { type: "field", fieldTypes: ["phoneNumber", ...TEXT_TYPES, ...DERIVED_TYPES] },
+  organizationField: {
+    type: "field",
+    fieldTypes: ["singleSelect", ...TEXT_TYPES, ...DERIVED_TYPES],
+  },
+  jobTitleField: { type: "field", fieldTypes: ["singleSelect", ...TEXT_TYPES, ...DERIVED_TYPES] },
+  urlField: { type: "field", fieldTypes: ["url", ...TEXT_TYPES, ...DERIVED_TYPES] },
+  noteField: { type: "field", fieldTypes: [...TEXT_TYPES, ...DERIVED_TYPES] },
+  invitations: { type: "boolean" },
+  invitationStateField: { type: "field", writable: true, fieldTypes: ["multilineText"] },
+  invitationFrom: { type: "string" },
+  requireSignedDispatch: { type: "boolean" },
+};
+
+const LINKED_FIELD_KEYS = {
+  field: { aliases: ["name"] },
+  linkedTable: { aliases: ["table"] },
+  displayField: { aliases: [] },
+  nameField: { aliases: [] },
+};
+
+const SESSION_KEYS = {
+  field: { aliases: [] },
+  linkedTable: { aliases: ["table"] },
+  startField: { aliases: [] },
+  endField: { aliases: [] },
+  nameField: { aliases: [] },
+  locationField: { aliases: [] },
+  descriptionField: { aliases: [] },
+};
+
+function keyNames(spec, key) {
+  return [key, ...(spec[key].aliases || [])];
+}
+
+// Accepted names for a config key, canonical name first.
+function configKeyNames(key) {
+  if (!CONFIG_KEYS[key]) {
+    throw new Error(`Unknown config key: ${key}`);
+  }
+  return keyNames(CONFIG_KEYS, key);
+}
+
+function aliasIndex(spec) {
+  const index = new Map();
+  for (const key of Object.keys(spec)) {
+    for (const name of keyNames(spec, key)) {
+      index.set(name, key);
+    }
+  }
+  return index;
+}
+
+const CONFIG_ALIASES = aliasIndex(CONFIG_KEYS);
+const LINKED_FIELD_ALIASES = aliasIndex(LINKED_FIELD_KEYS);
+const SESSION_ALIASES = aliasIndex(SESSION_KEYS);
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function unknownKeyProblem(label, name, aliases) {
+  let best = "";
+  let bestDistance = Infinity;
+  for (const candidate of aliases.keys()) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const hint = bestDistance <= 3 ? ` (did you mean "${best}"?)` : "";
+  return `${label}unknown key "${name}"${hint}`;
+}
+
+// Keys that set the same option under different names. The loader uses the
+// first non-empty one, so the others are silently ignored.
+function aliasConflicts(label, entry, spec, aliases) {
+  const byKey = new Map();
+  for (const name of Object.keys(entry)) {
+    const key = aliases.get(name);
+    if (key) {
+      byKey.set(key, [...(byKey.get(key) || []), name]);
+    }
+  }
+
+  const problems = [];
+  for (const [key, names] of byKey) {
+    if (names.length > 1) {
+      const used = keyNames(spec, key).find((name) => names.includes(name));
+      problems.push(
+        `${label}${names.map((name) => `"${name}"`).join(" and ")} set the same option; only "${used}" is used`
+      );
+    }
+  }
+  return problems;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Unknown keys, non-string values, alias conflicts and missing `required`
+// keys in a nested object described by `spec`.
+function validateNestedObject(label, value, spec, aliases, required) {
+  const problems = [];
+  for (const [name, item] of Object.entries(value)) {
+    if (!aliases.has(name)) {
+      problems.push(unknownKeyProblem(label, name, aliases));
+    } else if (typeof item !== "string") {
+      problems.push(`${label}"${name}" must be a string`);
+    }
+  }
+  problems.push(...aliasConflicts(label, value, spec, aliases));
+  for (const key of required) {
+    if (!keyNames(spec, key).some((name) => value[name])) {
+      problems.push(`${label}missing "${key}"`);
+    }
+  }
+  return problems;
+}
+
+function validateLinkedFieldObject(label, value) {
+  return validateNestedObject(label, value, LINKED_FIELD_KEYS, LINKED_FIELD_ALIASES, [
+    "linkedTable",
+    "displayField",
+  ]);
+}
+
+function validateValue(name, key, value) {
+  const { type } = CONFIG_KEYS[key];
+  const label = `${name}: `;
+
+  if (type === "string" && typeof value !== "string") {
+    return [`${label}must be a string`];
+  }
+  if (type === "boolean" && typeof value !== "boolean" && typeof value !== "string") {
+    return [`${label}must be true or false`];
+  }
+  if (
+    type === "stringList" &&
+    typeof value !== "string" &&
+    !(Array.isArray(value) && value.every((item) => typeof item === "string"))
+  ) {
+    return [`${label}must be a string or a list of strings`];
+  }
+  if (type === "field") {
+    if (typeof value === "string") {
+      return [];
+    }
+    if (!isPlainObject(value)) {
+      return [`${label}must be a field name or a linked field object`];
+    }
+    const problems = validateLinkedFieldObject(label, value);
+    if (!keyNames(LINKED_FIELD_KEYS, "field").some((field) => value[field])) {
+      problems.push(`${label}missing "field"`);
+    }
+    return problems;
+  }
+  if (type === "linkedFields") {
+    if (!isPlainObject(value)) {
+      return [`${label}must be an object keyed by field name`];
+    }
+    return Object.entries(value).flatMap(([field, options]) =>
+      isPlainObject(options)
+        ? validateLinkedFieldObject(`${name}["${field}"]: `, options)
+        : [`${name}["${field}"]: must be an object`]
+    );
+  }
+  if (type === "sessions") {
+    if (typeof value === "string") {
+      return [];
+    }
+    if (!isPlainObject(value)) {
+      return [`${label}must be a schedule field name or a sessions object`];
+    }
+    return validateNestedObject(label, value, SESSION_KEYS, SESSION_ALIASES, ["field"]);
+  }
+  return [];
+}
+
+// Structural checks for one automation entry; returns a list of problems.
+function validateAutomationEntry(entry) {
+  if (!isPlainObject(entry)) {
+    return ["must be a JSON object"];
+  }
+
+  const problems = [];
+  for (const [name, value] of Object.entries(entry)) {
+    const key = CONFIG_ALIASES.get(name);
+    if (!key) {
+      problems.push(unknownKeyProblem("", name, CONFIG_ALIASES));
+    } else {
+      problems.push(...validateValue(name, key, value));
+    }
+  }
+  problems.push(...aliasConflicts("", entry, CONFIG_KEYS, CONFIG_ALIASES));
+
+  for (const [key, spec] of Object.entries(CONFIG_KEYS)) {
+    if (spec.required && !keyNames(CONFIG_KEYS, key).some((name) => entry[name])) {
+      problems.push(`missing required key "${key}"`);
+    }
+  }
+  return problems;
+}
+
+// Field names a resolved config maps, either the ones the processor writes
+// (writable: true) or the ones it reads.
+function mappedFieldNames(config, { writable }) {
+  const names = Object.entries(CONFIG_KEYS)
+    .filter(([, spec]) => spec.type === "field" && Boolean(spec.writable) === writable)
+    .map(([key, spec]) => config[spec.configName || key])
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+function findTable(tables, idOrName) {
+  return tables.find((table) => table.id === idOrName || table.name === idOrName) || null;
+}
+
+function findField(table, idOrName) {
+  return table.fields.find((field) => field.id === idOrName || field.name === idOrName) || null;
+}
+
+function checkLinkedField(tables, table, fieldName, options, label) {
+  const problems = [];
+  const field = findField(table, fieldName);
+  if (field && field.type !== "multipleRecordLinks") {
+    problems.push(`${label}: "${fieldName}" is a ${field.type} field, not a linked record field`);
+  }
+
+  const linkedTable = findTable(tables, options.linkedTable);
+  if (!linkedTable) {
+    return [...problems, `${label}: linked table "${options.linkedTable}" does not exist`];
+  }
+  const linkedTableId = field && field.options ? field.options.linkedTableId : "";
+  if (linkedTableId && linkedTableId !== linkedTable.id) {
+    problems.push(`${label}: "${fieldName}" does not link to table "${options.linkedTable}"`);
+  }
+  for (const name of [options.displayField, options.nameField].filter(Boolean)) {
+    if (!findField(linkedTable, name)) {
+      problems.push(`${label}: field "${name}" does not exist in table "${linkedTable.name}"`);
+    }
+  }
+  return problems;
+}
+
+function checkSessions(tables, table, sessions) {
+  const field = findField(table, sessions.field);
+  if (!field) {
+    return [`sessions: field "${sessions.field}" does not exist in table "${table.name}"`];
+  }
+  if (!sessions.linkedTable) {
+    const types = [...TEXT_TYPES, ...DERIVED_TYPES];
+    return types.includes(field.type)
+      ? []
+      : [`sessions: "${sessions.field}" is a ${field.type} field (expected ${types.join(", ")})`];
+  }
+
+  const problems = checkLinkedField(
+    tables,
+    table,
+    sessions.field,
+    { linkedTable: sessions.linkedTable },
+    "sessions"
+  );
+  const linkedTable = findTable(tables, sessions.linkedTable);
+  const names = [
+    sessions.startField,
+    sessions.endField,
+    sessions.nameField,
+    sessions.locationField,
+    sessions.descriptionField,
+  ];
+  for (const name of linkedTable ? names.filter(Boolean) : []) {
+    if (!findField(linkedTable, name)) {
+      problems.push(`sessions: field "${name}" does not exist in table "${linkedTable.name}"`);
+    }
+  }
+  return problems;
+}
+
+// Compares a resolved automation config with the base schema returned by the
+// Airtable metadata API. `entry` is the raw config entry, used to tell
+// explicitly mapped fields from defaults that may legitimately be missing.
+function checkAirtableSchema({ entry, config, tables, templateFields = [] }) {
+  const table = findTable(tables, config.tableIdOrName);
+  if (!table) {
+    return [`table "${config.tableIdOrName}" does not exist in base ${config.baseId}`];
+  }
+
+  const problems = [];
+  const { input } = getGenerator(config.generator);
+  for (const [key, spec] of Object.entries(CONFIG_KEYS)) {
+    if (spec.type !== "field") {
+      continue;
+    }
+    const fieldName = config[spec.configName || key];
+    const explicit = keyNames(CONFIG_KEYS, key).some((name) => entry[name] !== undefined);
+    if (!fieldName || !(explicit || spec.required || spec.mustExist === input)) {
+      continue;
+    }
+    if (key === "eventNameField" && !explicit && config.summaryTemplate) {
+      continue;
+    }
+
+    const field = findField(table, fieldName);
+    if (!field) {
+      problems.push(`${key}: field "${fieldName}" does not exist in table "${table.name}"`);
+      continue;
+    }
+    if (config.linkedFields[fieldName]) {
+      continue;
+    }
+    if (spec.writable && COMPUTED_TYPES.has(field.type)) {
+      problems.push(
+        `${key}: "${fieldName}" is a ${field.type} field, which Airtable computes and cannot be written`
+      );
+    } else if (spec.fieldTypes && !spec.fieldTypes.includes(field.type)) {
+      problems.push(
+        `${key}: "${fieldName}" is a ${field.type} field (expected ${spec.fieldTypes.join(", ")})`
+      );
+    }
+  }
+
+  for (const [fieldName, options] of Object.entries(config.linkedFields)) {
+    problems.push(
+      ...checkLinkedField(tables, table, fieldName, options, `linked field "${fieldName}"`)
+    );
+  }
+
+  if (config.sessions) {
+    problems.push(...checkSessions(tables, table, config.sessions));
+  }
+
+  for (const key of ["viewName", "feedViewName"]) {
+    const view = config[key];
+    const views = Array.isArray(table.views) ? table.views : [];
+    if (view && !views.some((item) => item.id === view || item.name === view)) {
+      problems.push(`${key}: view "${view}" does not exist in table "${table.name}"`);
+    }
+  }
+
+  for (const fieldName of templateFields) {
+    if (!findField(table, fieldName)) {
+      problems.push(`template: field "${fieldName}" does not exist in table "${table.name}"`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  COMPUTED_TYPES,
+  configKeyNames,
+  mappedFieldNames,
+  findTable,
+  findField,
+  validateAutomationEntry,
+  checkAirtableSchema,
+};
@@ -0,0 +1,75 @@
+"use strict";
+
+// Date parsing and ICS date formatting shared by the event builders.
+
+const { toLocalCalendarDate } = require("./timezone");
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toUtcIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+function toIcsDateValue(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function parseDate(value, fieldName) {
+  if (value === undefined || value === null || value === "") {
+    throw new Error(`Missing required Airtable field: ${fieldName}`);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date in Airtable field "${fieldName}": ${value}`);
+  }
+  return date;
+}
+
+function isEmptyFieldValue(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function isDateOnlyValue(value) {
+  return typeof value === "string" && DATE_ONLY_PATTERN.test(value.trim());
+}
+
+// Calendar dates are carried as Date objects at UTC midnight so that they can
+// be compared and shifted like any other date. Date-time values are reduced to
+// their calendar date in `timeZone` (UTC when no time zone is configured).
+function parseCalendarDate(value, fieldName, timeZone) {
+  if (isEmptyFieldValue(value)) {
+    throw new Error(`Missing required Airtable field: ${fieldName}`);
+  }
+
+  const text = typeof value === "string" ? value.trim() : "";
+  const match = text.match(DATE_ONLY_PATTERN);
+  if (!match) {
+    const date = parseDate(value, fieldName);
+    if (timeZone) {
+      return toLocalCalendarDate(date, timeZone);
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    throw new Error(`Invalid date in Airtable field "${fieldName}": ${value}`);
+  }
+  return date;
+}
+
+module.exports = {
+  DAY_MS,
+  toUtcIcsDate,
+  toIcsDateValue,
+  parseDate,
+  isEmptyFieldValue,
+  isDateOnlyValue,
+  parseCalendarDate,
+};
@@ -0,0 +1,89 @@
+"use strict";
+
+// HMAC-SHA256 signatures for dispatch payloads. The Airtable script signs
+// automationKey, recordId, tableName, mode, a Unix timestamp (seconds) and a
+// random nonce with a shared secret; the processor recomputes the signature
+// before it touches Airtable.
+
+const crypto = require("node:crypto");
+
+const SIGNATURE_PREFIX = "sha256=";
+const SIGNATURE_PATTERN = /^sha256=[0-9a-f]{64}$/;
+
+// Secrets are looked up per automation first, then shared:
+// automation key "ehi_events" -> DISPATCH_SECRET_EHI_EVENTS, then DISPATCH_SECRET.
+function dispatchSecretEnvNames(automationKey) {
+  const suffix = String(automationKey || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return suffix ? [`DISPATCH_SECRET_${suffix}`, "DISPATCH_SECRET"] : ["DISPATCH_SECRET"];
+}
+
+// Every payload field that changes what a run does is signed. Fields the
+// payload leaves out are signed as empty strings.
+function dispatchSigningString({
+  automationKey = "",
+  recordId = "",
+  tableName = "",
+  mode = "",
+  timestamp,
+  nonce,
+}) {
+  return [automationKey, recordId, tableName, mode, String(timestamp), nonce].join("\n");
+}
+
+function signDispatch(secret, fields) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(dispatchSigningString(fields), "utf8")
+    .digest("hex");
+  return `${SIGNATURE_PREFIX}${digest}`;
+}
+
+// Throws when the payload is unsigned, signed with another secret, or its
+// timestamp is further than maxAgeSeconds from `now` in either direction.
+function verifyDispatchSignature(secret, payload, { now = Date.now(), maxAgeSeconds }) {
+  const signature = typeof payload.signature === "string" ? payload.signature.trim() : "";
+  if (!signature) {
+    throw new Error("Dispatch payload is not signed (client_payload.signature is missing).");
+  }
+  if (!SIGNATURE_PATTERN.test(signature)) {
+    throw new Error('Dispatch signature must look like "sha256=<64 hex characters>".');
+  }
+
+  const timestamp = Number(payload.timestamp);
+  const nonce = typeof payload.nonce === "string" ? payload.nonce.trim() : "";
+  if (!Number.isInteger(timestamp)) {
+    throw new Error("Dispatch payload needs an integer client_payload.timestamp (Unix seconds).");
+  }
+  if (!nonce) {
+    throw new Error("Dispatch payload is missing client_payload.nonce.");
+  }
+
+  const expected = signDispatch(secret, {
+    automationKey: payload.automationKey,
+    recordId: payload.recordId,
+    tableName: payload.tableName,
+    mode: payload.mode,
+    timestamp,
+    nonce,
+  });
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error("Dispatch signature does not match the payload.");
+  }
+
+  const ageSeconds = Math.floor(now / 1000) - timestamp;
+  if (Math.abs(ageSeconds) > maxAgeSeconds) {
+    throw new Error(
+      `Dispatch payload is stale: signed ${ageSeconds}s ago (allowed: ${maxAgeSeconds}s).`
+    );
+  }
+  return { signature, timestamp, nonce };
+}
+
+module.exports = {
+  dispatchSecretEnvNames,
+  signDispatch,
+  verifyDispatchSignature,
+};
@@ -0,0 +1,120 @@
+"use strict";
+
+// Event pages in Markdown or HTML: the title, when and where, and the
+// description, with one section per session.
+
+const { DAY_MS } = require("./dates");
+const { DEFAULT_LOCALE } = require("./template");
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatWhen({ allDay, timeZone, startDate, endDate }, locale) {
+  if (allDay) {
+    const lastDate = new Date(endDate.getTime() - DAY_MS);
+    return new Intl.DateTimeFormat(locale, { timeZone: "UTC", dateStyle: "full" }).formatRange(
+      startDate,
+      lastDate
+    );
+  }
+  const zone = timeZone || "UTC";
+  const format = new Intl.DateTimeFormat(locale, {
+    timeZone: zone,
+    dateStyle: "full",
+    timeStyle: "short",
+  });
+  return `${format.formatRange(startDate, endDate)} (${zone})`;
+}
+
+// [label, text] pairs shown under an event's heading.
+function eventDetails(event, locale) {
+  const details = [["When", formatWhen(event, locale)]];
+  if (event.recurrence) {
+    details.push(["Repeats", event.recurrence.rule]);
+  }
+  if (event.location) {
+    details.push(["Where", event.location]);
+  }
+  if (event.organizer) {
+    const { name, email } = event.organizer;
+    details.push(["Organizer", name ? `${name} <${email}>` : email]);
+  }
+  if (event.status === "CANCELLED" || event.status === "TENTATIVE") {
+    details.push(["Status", event.status === "CANCELLED" ? "Cancelled" : "Tentative"]);
+  }
+  return details;
+}
+
+function pageSections(events) {
+  if (events.length === 1) {
+    return { title: events[0].eventName, sections: [{ heading: "", event: events[0] }] };
+  }
+  return {
+    title: events[0].recordName || events[0].eventName,
+    sections: events.map((event) => ({ heading: event.sessionName || event.eventName, event })),
+  };
+}
+
+function markdownPage(events, locale) {
+  const { title, sections } = pageSections(events);
+  const lines = [`# ${title}`, ""];
+  for (const { heading, event } of sections) {
+    if (heading) {
+      lines.push(`## ${heading}`, "");
+    }
+    for (const [label, text] of eventDetails(event, locale)) {
+      lines.push(`- **${label}:** ${text}`);
+    }
+    lines.push("");
+    if (event.description) {
+      lines.push(event.description, "");
+    }
+  }
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+function htmlPage(events, locale) {
+  const { title, sections } = pageSections(events);
+  const lines = [
+    "<!DOCTYPE html>",
+    `<html lang="${escapeHtml(locale.split("-")[0])}">`,
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    "</head>",
+    "<body>",
+    "<article>",
+    `<h1>${escapeHtml(title)}</h1>`,
+  ];
+  for (const { heading, event } of sections) {
+    if (heading) {
+      lines.push(`<h2>${escapeHtml(heading)}</h2>`);
+    }
+    lines.push("<dl>");
+    for (const [label, text] of eventDetails(event, locale)) {
+      lines.push(`<dt>${label}</dt>`, `<dd>${escapeHtml(text)}</dd>`);
+    }
+    lines.push("</dl>");
+    if (event.description) {
+      lines.push(`<p>${escapeHtml(event.description).replace(/\r?\n/g, "<br>\n")}</p>`);
+    }
+  }
+  lines.push("</article>", "</body>", "</html>", "");
+  return lines.join("\n");
+}
+
+// `format` is "markdown" or "html"; dates are formatted for `locale` in each
+// event's time zone.
+function buildEventPage(events, { format, locale = DEFAULT_LOCALE }) {
+  return format === "html" ? htmlPage(events, locale) : markdownPage(events, locale);
+}
+
+module.exports = {
+  escapeHtml,
+  buildEventPage,
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+// Conversions from raw Airtable field values to plain text.
+
+function nonEmptyString(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : "";
+}
+
+function normalizeText(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (typeof value === "string") {
+    return value;
+  }
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeText(item)).join(", ");
+  }
+  if (typeof value === "object") {
+    // Collaborators ({ name, email }), attachments ({ filename, url }) and
+    // AI/computed values ({ value }) have a natural display value.
+    const display =
+      nonEmptyString(value.name) ||
+      nonEmptyString(value.email) ||
+      nonEmptyString(value.filename) ||
+      (typeof value.value === "string" || typeof value.value === "number"
+        ? String(value.value)
+        : "");
+    if (display) {
+      return display;
+    }
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  nonEmptyString,
+  normalizeText,
+};
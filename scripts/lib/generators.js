@@ -0,0 +1,46 @@
+"use strict";
+
+// File types an automation can produce (the `generator` config key). Each
+// generator makes one file per record, from the record's events or, for
+// vCards, from its contact fields.
+
+const crypto = require("node:crypto");
+const { icsContentHash } = require("./ics");
+
+const GENERATORS = {
+  ics: { input: "events", extension: "ics", contentType: "text/calendar" },
+  vcard: { input: "contact", extension: "vcf", contentType: "text/vcard" },
+  jsonld: { input: "events", extension: "jsonld", contentType: "application/ld+json" },
+  markdown: { input: "events", extension: "md", contentType: "text/markdown; charset=utf-8" },
+  html: { input: "events", extension: "html", contentType: "text/html; charset=utf-8" },
+};
+
+const DEFAULT_GENERATOR = "ics";
+
+function generatorNames() {
+  return Object.keys(GENERATORS);
+}
+
+function getGenerator(name) {
+  const generator = GENERATORS[name || DEFAULT_GENERATOR];
+  if (!generator) {
+    throw new Error(`Unknown generator "${name}". Use one of: ${generatorNames().join(", ")}.`);
+  }
+  return { name: name || DEFAULT_GENERATOR, ...generator };
+}
+
+// Hash used to skip unchanged uploads. ICS ignores its per-build lines
+// (DTSTAMP, SEQUENCE); the other formats are stable as generated.
+function generatedContentHash(name, text) {
+  if ((name || DEFAULT_GENERATOR) === "ics") {
+    return icsContentHash(text);
+  }
+  return crypto.createHash("sha256").update(String(text), "utf8").digest("hex");
+}
+
+module.exports = {
+  DEFAULT_GENERATOR,
+  generatorNames,
+  getGenerator,
+  generatedContentHash,
+};
@@ -0,0 +1,125 @@
+"use strict";
+
+// fetch() with per-attempt timeouts and retries for transient failures
+// (network errors, 429 and 5xx gateway errors), honoring Retry-After.
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30 * 1000;
+// Airtable blocks a client for 30 seconds after it exceeds the rate limit.
+const AIRTABLE_RATE_LIMIT_PENALTY_MS = 30 * 1000;
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter.
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function retryAfterDelay(response) {
+  const header = response.headers.get("retry-after");
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isAirtableUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    return hostname === "airtable.com" || hostname.endsWith(".airtable.com");
+  } catch {
+    return false;
+  }
+}
+
+function attemptsLabel(attempts) {
+  return `${attempts} attempt${attempts === 1 ? "" : "s"}`;
+}
+
+// Returns { response, text, attempts }. Requests are only retried when they
+// are idempotent (by method, or `idempotent: true` for PATCHes that set field
+// values) or were rejected with 429 before being processed.
+async function fetchWithRetry(
+  url,
+  init = {},
+  {
+    idempotent,
+    beforeAttempt,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = {}
+) {
+  const method = (init.method || "GET").toUpperCase();
+  const canRetry = idempotent === undefined ? IDEMPOTENT_METHODS.has(method) : idempotent;
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (beforeAttempt) {
+      await beforeAttempt();
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    let text;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+      text = await response.text();
+    } catch (error) {
+      const reason = controller.signal.aborted
+        ? `timed out after ${timeoutMs} ms`
+        : (error.cause && error.cause.message) || error.message;
+      if (!canRetry || attempt >= maxAttempts) {
+        throw new Error(`${method} ${url} failed after ${attemptsLabel(attempt)}: ${reason}`);
+      }
+      const delay = backoffDelay(attempt);
+      console.warn(
+        `${method} ${url} failed (${reason}); retrying in ${delay} ms (attempt ${
+          attempt + 1
+        }/${maxAttempts})`
+      );
+      await sleep(delay);
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const retryable =
+      RETRYABLE_STATUSES.has(response.status) && (canRetry || response.status === 429);
+    if (!retryable || attempt >= maxAttempts) {
+      return { response, text, attempts: attempt };
+    }
+
+    let delay = retryAfterDelay(response);
+    if (delay === null) {
+      delay =
+        response.status === 429 && isAirtableUrl(url)
+          ? AIRTABLE_RATE_LIMIT_PENALTY_MS
+          : backoffDelay(attempt);
+    }
+    console.warn(
+      `${method} ${url} returned ${response.status}; retrying in ${delay} ms (attempt ${
+        attempt + 1
+      }/${maxAttempts})`
+    );
+    await sleep(delay);
+  }
+}
+
+module.exports = {
+  sleep,
+  attemptsLabel,
+  fetchWithRetry,
+};
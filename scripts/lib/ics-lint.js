@@ -0,0 +1,244 @@
+"use strict";
+
+// Checks generated ICS against the RFC 5545 rules calendar clients are strict
+// about, so a broken file fails the run instead of being uploaded: CRLF line
+// endings, lines of at most 75 octets, escaped TEXT values, required
+// properties and DTEND after DTSTART.
+
+const { parseContentLine, parseIcsDateValue } = require("./ics-parse");
+
+const MAX_LINE_OCTETS = 75;
+const NAME_PATTERN = /^[A-Z0-9-]+$/;
+// Control characters other than HTAB are not allowed in any value.
+const CONTROL_PATTERN = /[\x00-\x08\x0a-\x1f\x7f]/;
+// Single TEXT values, where "," and ";" have to be escaped. CATEGORIES and
+// RESOURCES are left out because "," separates their values.
+const TEXT_PROPERTIES = new Set([
+  "SUMMARY",
+  "DESCRIPTION",
+  "LOCATION",
+  "COMMENT",
+  "CONTACT",
+  "TZNAME",
+  "X-WR-CALNAME",
+  "X-WR-CALDESC",
+]);
+const REQUIRED_PROPERTIES = {
+  VCALENDAR: ["PRODID", "VERSION"],
+  VEVENT: ["UID", "DTSTAMP"],
+  VTIMEZONE: ["TZID"],
+  STANDARD: ["DTSTART", "TZOFFSETFROM", "TZOFFSETTO"],
+  DAYLIGHT: ["DTSTART", "TZOFFSETFROM", "TZOFFSETTO"],
+  VALARM: ["ACTION", "TRIGGER"],
+};
+const SINGLE_PROPERTIES = {
+  VCALENDAR: ["PRODID", "VERSION", "METHOD", "CALSCALE"],
+  VEVENT: ["UID", "DTSTAMP", "DTSTART", "DTEND", "DURATION", "SUMMARY", "SEQUENCE", "STATUS"],
+};
+
+function printable(text) {
+  return text.length > 40 ? `${text.slice(0, 40)}...` : text;
+}
+
+// Unfolded content lines, each with the number of its first physical line.
+function contentLines(text, problems) {
+  // Odd entries are the line endings.
+  const parts = text.split(/(\r\n|\r|\n)/);
+  const physical = [];
+  for (let index = 0; index < parts.length; index += 2) {
+    physical.push(parts[index]);
+    const ending = parts[index + 1];
+    if (ending === "\n" || ending === "\r") {
+      const name = ending === "\n" ? "LF" : "a bare CR";
+      problems.push({ line: physical.length, message: `line ends with ${name} instead of CRLF` });
+    }
+  }
+  if (physical[physical.length - 1] === "") {
+    physical.pop();
+  } else {
+    problems.push({ line: physical.length, message: "the file must end with a line break" });
+  }
+
+  const lines = [];
+  physical.forEach((raw, index) => {
+    const number = index + 1;
+    const octets = Buffer.byteLength(raw, "utf8");
+    if (octets > MAX_LINE_OCTETS) {
+      problems.push({ line: number, message: `line is ${octets} octets, more than 75` });
+    }
+    if (raw.startsWith(" ") || raw.startsWith("\t")) {
+      if (lines.length === 0) {
+        problems.push({ line: number, message: "continuation line without a property" });
+      } else {
+        lines[lines.length - 1].text += raw.slice(1);
+      }
+    } else {
+      lines.push({ number, text: raw });
+    }
+  });
+  return lines;
+}
+
+// "" when `value` is a correctly escaped TEXT value.
+function textValueProblem(value) {
+  for (let index = 0; index < value.length; index += 1) {
+    const char = value[index];
+    if (char === "\\") {
+      const next = value[index + 1] || "";
+      if (!next || !"\\;,nN".includes(next)) {
+        return `invalid escape "\\${next}"`;
+      }
+      index += 1;
+    } else if (char === ";" || char === ",") {
+      return `unescaped "${char}"`;
+    }
+  }
+  return "";
+}
+
+function checkEventDates(component, method, timeZoneIds, problems) {
+  const first = (name) => (component.properties.get(name) || [])[0] || null;
+  const dtstart = first("DTSTART");
+  const dtend = first("DTEND");
+  // CANCEL messages may identify the event by UID alone (RFC 5546).
+  if (!dtstart && method !== "CANCEL") {
+    problems.push({ line: component.line, message: "VEVENT is missing DTSTART" });
+  }
+  if (dtend && first("DURATION")) {
+    problems.push({ line: dtend.line, message: "VEVENT has both DTEND and DURATION" });
+  }
+
+  for (const [name, properties] of component.properties) {
+    for (const { line, params } of properties) {
+      if (params.TZID && !timeZoneIds.has(params.TZID)) {
+        problems.push({ line, message: `${name} uses TZID "${params.TZID}" without a VTIMEZONE` });
+      }
+    }
+  }
+
+  const parse = (property) => {
+    try {
+      return parseIcsDateValue(property.value, property.params);
+    } catch (error) {
+      problems.push({ line: property.line, message: `${property.name}: ${error.message}` });
+      return null;
+    }
+  };
+  const start = dtstart ? parse(dtstart) : null;
+  const end = dtend ? parse(dtend) : null;
+  if (!start || !end) {
+    return;
+  }
+  if (start.dateOnly !== end.dateOnly) {
+    problems.push({
+      line: dtend.line,
+      message: "DTEND must be a date when DTSTART is a date, and a date-time otherwise",
+    });
+  } else if (end.date <= start.date) {
+    problems.push({
+      line: dtend.line,
+      message: `DTEND (${dtend.value}) must be after DTSTART (${dtstart.value})`,
+    });
+  }
+}
+
+// Problems in `text` as { line, message }, ordered by line; [] for a valid
+// calendar.
+function lintIcs(text) {
+  const problems = [];
+  const lines = contentLines(String(text), problems);
+  if (lines.length === 0 || lines[0].text.toUpperCase() !== "BEGIN:VCALENDAR") {
+    problems.push({ line: 1, message: "the file must start with BEGIN:VCALENDAR" });
+  }
+
+  const stack = [];
+  const components = [];
+  let method = "";
+  for (const { number, text: line } of lines) {
+    const property = parseContentLine(line);
+    if (!property || !NAME_PATTERN.test(property.name)) {
+      problems.push({ line: number, message: `not a valid content line: "${printable(line)}"` });
+      continue;
+    }
+    const { name, params, value } = property;
+    if (name === "BEGIN") {
+      stack.push({ name: value.toUpperCase(), line: number, properties: new Map() });
+      continue;
+    }
+    if (name === "END") {
+      const component = stack.pop();
+      if (!component || component.name !== value.toUpperCase()) {
+        const open = component ? `BEGIN:${component.name}` : "no open component";
+        problems.push({ line: number, message: `END:${value} does not match ${open}` });
+        if (component) {
+          stack.push(component);
+        }
+      } else {
+        components.push(component);
+      }
+      continue;
+    }
+    if (stack.length === 0) {
+      problems.push({ line: number, message: `${name} is outside BEGIN:VCALENDAR` });
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+    if (!component.properties.has(name)) {
+      component.properties.set(name, []);
+    }
+    component.properties.get(name).push({ name, params, value, line: number });
+    const control = value.match(CONTROL_PATTERN);
+    if (control) {
+      const code = control[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, "0");
+      problems.push({ line: number, message: `${name} contains control character U+${code}` });
+    }
+    const textProblem = TEXT_PROPERTIES.has(name) ? textValueProblem(value) : "";
+    if (textProblem) {
+      problems.push({ line: number, message: `${name}: ${textProblem}` });
+    }
+    if (name === "METHOD" && component.name === "VCALENDAR") {
+      method = value.trim().toUpperCase();
+    }
+  }
+  for (const component of stack) {
+    problems.push({ line: component.line, message: `BEGIN:${component.name} is never closed` });
+  }
+
+  const timeZoneIds = new Set(
+    components
+      .filter((component) => component.name === "VTIMEZONE" && component.properties.has("TZID"))
+      .map((component) => component.properties.get("TZID")[0].value)
+  );
+  for (const component of components) {
+    for (const name of REQUIRED_PROPERTIES[component.name] || []) {
+      if (!component.properties.has(name)) {
+        problems.push({ line: component.line, message: `${component.name} is missing ${name}` });
+      }
+    }
+    for (const name of SINGLE_PROPERTIES[component.name] || []) {
+      const properties = component.properties.get(name) || [];
+      if (properties.length > 1) {
+        problems.push({ line: properties[1].line, message: `${name} appears more than once` });
+      }
+    }
+    if (component.name === "VEVENT") {
+      checkEventDates(component, method, timeZoneIds, problems);
+    }
+  }
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+// One "line N: message" per problem, for error messages.
+function formatIcsProblems(problems, max = 10) {
+  const lines = problems.slice(0, max).map(({ line, message }) => `  line ${line}: ${message}`);
+  if (problems.length > max) {
+    lines.push(`  ... and ${problems.length - max} more`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  lintIcs,
+  formatIcsProblems,
+};
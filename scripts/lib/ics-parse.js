@@ -0,0 +1,238 @@
+"use strict";
+
+// ICS parsing for imports: unfolds and splits content lines, unescapes text
+// and turns VEVENT components into plain event objects. Date-times with a
+// TZID are resolved with Intl time zone data, like the rest of the processor.
+
+const { DAY_MS } = require("./dates");
+const { resolveTimeZone, fromLocalDateTime } = require("./timezone");
+
+const DATE_VALUE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_VALUE_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+// Windows zone names that Outlook and Exchange put in TZID, for the zones we
+// are most likely to see. Anything else has to be an IANA name.
+const WINDOWS_TIME_ZONES = {
+  UTC: "UTC",
+  "GMT Standard Time": "Europe/London",
+  "Greenwich Standard Time": "Atlantic/Reykjavik",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Central European Standard Time": "Europe/Warsaw",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "FLE Standard Time": "Europe/Kiev",
+  "GTB Standard Time": "Europe/Bucharest",
+  "Eastern Standard Time": "America/New_York",
+  "Central Standard Time": "America/Chicago",
+  "Mountain Standard Time": "America/Denver",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "China Standard Time": "Asia/Shanghai",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "India Standard Time": "Asia/Kolkata",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+};
+
+// Folded lines are joined before decoding, so a multi-byte character split
+// across a fold (RFC 5545 folds by octets) comes out intact.
+function unfoldIcsLines(input) {
+  const raw = Buffer.isBuffer(input) ? input.toString("latin1") : String(input);
+  const unfolded = raw.replace(/\r?\n[ \t]/g, "");
+  const text = Buffer.isBuffer(input) ? Buffer.from(unfolded, "latin1").toString("utf8") : unfolded;
+  return text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+}
+
+// "NAME;PARAM=value;PARAM=\"quoted:value\":property value"
+function parseContentLine(line) {
+  const segments = [];
+  let start = 0;
+  let inQuotes = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === ";" || char === ":")) {
+      segments.push(line.slice(start, index));
+      start = index + 1;
+      if (char === ":") {
+        const [name, ...rawParams] = segments;
+        const params = {};
+        for (const param of rawParams) {
+          const separator = param.indexOf("=");
+          if (separator > 0) {
+            params[param.slice(0, separator).toUpperCase()] = param
+              .slice(separator + 1)
+              .replace(/^"(.*)"$/, "$1");
+          }
+        }
+        return { name: name.toUpperCase(), params, value: line.slice(start) };
+      }
+    }
+  }
+  return null;
+}
+
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+function resolveIcsTimeZone(tzid) {
+  const name = tzid.trim();
+  if (WINDOWS_TIME_ZONES[name]) {
+    return WINDOWS_TIME_ZONES[name];
+  }
+  // Some producers prefix IANA names, e.g. "/mozilla.org/20050126_1/Europe/Berlin".
+  const segments = name.split("/").filter(Boolean);
+  for (let count = segments.length; count >= 1; count -= 1) {
+    const candidate = segments.slice(segments.length - count).join("/");
+    if (candidate.includes("/") || count === segments.length) {
+      const resolved = resolveTimeZone(candidate);
+      if (resolved) {
+        return resolved;
+      }
+    }
+  }
+  return "";
+}
+
+// { date, dateOnly, timeZone } for a DTSTART/DTEND/EXDATE/RECURRENCE-ID value.
+// Dates are UTC midnight; floating date-times (no Z, no TZID) are read in
+// `defaultTimeZone`, or as UTC without one.
+function parseIcsDateValue(value, params, { defaultTimeZone = "" } = {}) {
+  const text = value.trim();
+  const dateMatch = text.match(DATE_VALUE_PATTERN);
+  if (dateMatch || params.VALUE === "DATE") {
+    if (!dateMatch) {
+      throw new Error(`Invalid ICS date "${value}".`);
+    }
+    const [year, month, day] = dateMatch.slice(1).map(Number);
+    return { date: new Date(Date.UTC(year, month - 1, day)), dateOnly: true, timeZone: "" };
+  }
+
+  const match = text.match(DATE_TIME_VALUE_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid ICS date-time "${value}".`);
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  if (match[7] === "Z") {
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    return { date, dateOnly: false, timeZone: "" };
+  }
+
+  const timeZone = params.TZID ? resolveIcsTimeZone(params.TZID) : defaultTimeZone;
+  if (params.TZID && !timeZone) {
+    throw new Error(`Unknown TZID "${params.TZID}"; use an IANA time zone name.`);
+  }
+  const date = timeZone
+    ? fromLocalDateTime({ year, month, day, hour, minute, second }, timeZone)
+    : new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return { date, dateOnly: false, timeZone: params.TZID ? timeZone : "" };
+}
+
+function parseIcsDuration(value) {
+  const match = value.trim().match(DURATION_PATTERN);
+  if (!match || value.trim() === "P" || /T$/.test(value.trim())) {
+    throw new Error(`Invalid ICS duration "${value}".`);
+  }
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map((part) => Number(part || 0));
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return match[1] === "-" ? -ms : ms;
+}
+
+function toImportedEvent(properties, options) {
+  const first = (name) => properties.find((property) => property.name === name) || null;
+  const text = (name) => (first(name) ? unescapeIcsText(first(name).value).trim() : "");
+  const uid = first("UID") ? first("UID").value.trim() : "";
+
+  const dtstart = first("DTSTART");
+  if (!dtstart) {
+    throw new Error(`Event ${uid || "(no UID)"} has no DTSTART.`);
+  }
+  const start = parseIcsDateValue(dtstart.value, dtstart.params, options);
+
+  const dtend = first("DTEND");
+  const duration = first("DURATION");
+  let end;
+  if (dtend) {
+    end = parseIcsDateValue(dtend.value, dtend.params, options);
+  } else if (duration) {
+    end = { ...start, date: new Date(start.date.getTime() + parseIcsDuration(duration.value)) };
+  } else {
+    // RFC 5545: a date-only event without an end lasts one day; a timed one
+    // ends when it starts.
+    end = { ...start, date: new Date(start.date.getTime() + (start.dateOnly ? DAY_MS : 0)) };
+  }
+
+  const exceptionDates = properties
+    .filter((property) => property.name === "EXDATE")
+    .flatMap((property) =>
+      property.value
+        .split(",")
+        .map((value) => parseIcsDateValue(value, property.params, options).date)
+    );
+  const sequence = Number.parseInt(text("SEQUENCE"), 10);
+
+  return {
+    uid,
+    summary: text("SUMMARY").replace(/\s*\n\s*/g, " "),
+    description: text("DESCRIPTION"),
+    location: text("LOCATION"),
+    status: text("STATUS").toUpperCase(),
+    sequence: Number.isInteger(sequence) ? sequence : 0,
+    allDay: start.dateOnly,
+    timeZone: start.timeZone,
+    startDate: start.date,
+    endDate: end.date,
+    rrule: first("RRULE") ? first("RRULE").value.trim() : "",
+    exceptionDates,
+    recurrenceId: Boolean(first("RECURRENCE-ID")),
+  };
+}
+
+// Every VEVENT in the calendar, in file order. Events that cannot be parsed
+// come back as { uid, error } so one bad event does not stop an import.
+function parseIcsEvents(input, options = {}) {
+  const events = [];
+  const stack = [];
+  let properties = null;
+
+  for (const line of unfoldIcsLines(input)) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+    if (property.name === "BEGIN") {
+      stack.push(property.value.trim().toUpperCase());
+      if (stack[stack.length - 1] === "VEVENT") {
+        properties = [];
+      }
+    } else if (property.name === "END") {
+      if (stack.pop() === "VEVENT" && properties) {
+        try {
+          events.push(toImportedEvent(properties, options));
+        } catch (error) {
+          const uid = properties.find((item) => item.name === "UID");
+          events.push({ uid: uid ? uid.value.trim() : "", error: error.message });
+        }
+        properties = null;
+      }
+    } else if (properties && stack[stack.length - 1] === "VEVENT") {
+      properties.push(property);
+    }
+  }
+  return events;
+}
+
+module.exports = {
+  unfoldIcsLines,
+  parseContentLine,
+  unescapeIcsText,
+  parseIcsDateValue,
+  parseIcsEvents,
+};
@@ -0,0 +1,279 @@
+"use strict";
+
+// ICS rendering: VEVENT blocks for individual records and the VCALENDAR
+// wrappers used for per-record attachments and aggregate feeds.
+
+const crypto = require("node:crypto");
+
+const { DAY_MS, toUtcIcsDate, toIcsDateValue } = require("./dates");
+const { toLocalIcsDateTime, buildVTimezone } = require("./timezone");
+
+// VTIMEZONEs of rules without UNTIL cover this many years after DTSTART.
+const RECURRENCE_HORIZON_YEARS = 10;
+// Longest gap between two occurrences of each frequency, in days.
+const FREQUENCY_DAYS = {
+  SECONDLY: 1 / 86400,
+  MINUTELY: 1 / 1440,
+  HOURLY: 1 / 24,
+  DAILY: 1,
+  WEEKLY: 7,
+  MONTHLY: 31,
+  YEARLY: 366,
+};
+
+// Line breaks of any style (CRLF, LF or a bare CR) become "\n".
+function escapeIcsText(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/\r\n?|\n/g, "\\n")
+    .replace(/,/g, "\\,")
+    .replace(/;/g, "\\;");
+}
+
+// RFC 5545 limits lines to 75 octets, not characters, and continuation lines
+// count their leading space. Lines are split between code points so a
+// multi-byte character is never cut in half.
+function foldIcsLine(line, maxOctets = 75) {
+  if (Buffer.byteLength(line, "utf8") <= maxOctets) {
+    return line;
+  }
+  const chunks = [];
+  let chunk = "";
+  let chunkOctets = 0;
+  let limit = maxOctets;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, "utf8");
+    if (chunkOctets + octets > limit) {
+      chunks.push(chunk);
+      chunk = "";
+      chunkOctets = 0;
+      limit = maxOctets - 1;
+    }
+    chunk += char;
+    chunkOctets += octets;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+}
+
+function formatIcsDateProperty(name, dates, { allDay, timeZone }) {
+  const list = Array.isArray(dates) ? dates : [dates];
+  if (allDay) {
+    return `${name};VALUE=DATE:${list.map(toIcsDateValue).join(",")}`;
+  }
+  if (timeZone) {
+    return `${name};TZID=${timeZone}:${list
+      .map((date) => toLocalIcsDateTime(date, timeZone))
+      .join(",")}`;
+  }
+  return `${name}:${list.map(toUtcIcsDate).join(",")}`;
+}
+
+// Parameter values containing ":", ";" or "," must be quoted; DQUOTE itself
+// is not allowed inside a parameter value.
+function formatIcsParamValue(value) {
+  const cleaned = String(value).replace(/["\r\n]/g, "");
+  return /[:;,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+function formatParticipant(name, { name: displayName, email }, params = []) {
+  const allParams = displayName ? [`CN=${formatIcsParamValue(displayName)}`, ...params] : params;
+  return foldIcsLine(`${[name, ...allParams].join(";")}:mailto:${email}`);
+}
+
+function eventUid(recordId) {
+  return `airtable-${recordId}@airtable-wf`;
+}
+
+// The record id in a UID made by eventUid, or "" for any other UID.
+function recordIdFromEventUid(uid) {
+  const match = String(uid).match(/^airtable-(rec[A-Za-z0-9]+)@airtable-wf$/);
+  return match ? match[1] : "";
+}
+
+// The record id in a session UID ("airtable-recX-<key>@airtable-wf", see
+// sessionUid), or "" for any other UID.
+function recordIdFromSessionUid(uid) {
+  const match = String(uid).match(/^airtable-(rec[A-Za-z0-9]+)-[A-Za-z0-9_.-]+@airtable-wf$/);
+  return match ? match[1] : "";
+}
+
+function buildVEvent(
+  {
+    recordId,
+    uid = "",
+    eventName,
+    allDay = false,
+    timeZone = "",
+    startDate,
+    endDate,
+    recurrence = null,
+    location,
+    description,
+    status = "",
+    sequence = null,
+    organizer = null,
+    attendees = [],
+    alarms = [],
+  },
+  dtstamp = new Date()
+) {
+  const lines = [
+    "BEGIN:VEVENT",
+    foldIcsLine(`UID:${uid || eventUid(recordId)}`),
+    `DTSTAMP:${toUtcIcsDate(dtstamp)}`,
+    formatIcsDateProperty("DTSTART", startDate, { allDay, timeZone }),
+    formatIcsDateProperty("DTEND", endDate, { allDay, timeZone }),
+    foldIcsLine(`SUMMARY:${escapeIcsText(eventName)}`),
+  ];
+
+  if (Number.isInteger(sequence)) {
+    lines.push(`SEQUENCE:${sequence}`);
+  }
+  if (status) {
+    lines.push(`STATUS:${status}`);
+  }
+
+  if (recurrence) {
+    lines.push(foldIcsLine(`RRULE:${recurrence.rule}`));
+    if (recurrence.exceptionDates.length > 0) {
+      lines.push(
+        foldIcsLine(
+          formatIcsDateProperty("EXDATE", recurrence.exceptionDates, { allDay, timeZone })
+        )
+      );
+    }
+  }
+
+  if (location) {
+    lines.push(foldIcsLine(`LOCATION:${escapeIcsText(location)}`));
+  }
+  if (description) {
+    lines.push(foldIcsLine(`DESCRIPTION:${escapeIcsText(description)}`));
+  }
+
+  if (organizer) {
+    lines.push(formatParticipant("ORGANIZER", organizer));
+  }
+  for (const attendee of attendees) {
+    lines.push(
+      formatParticipant("ATTENDEE", attendee, [
+        `ROLE=${attendee.role || "REQ-PARTICIPANT"}`,
+        "PARTSTAT=NEEDS-ACTION",
+        "RSVP=TRUE",
+      ])
+    );
+  }
+
+  for (const trigger of alarms) {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      foldIcsLine(`DESCRIPTION:${escapeIcsText(eventName)}`),
+      `TRIGGER:${trigger}`,
+      "END:VALARM"
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// Last instant a recurring event reaches: its UNTIL, an upper bound from
+// COUNT, or RECURRENCE_HORIZON_YEARS for open-ended rules.
+function recurrenceEnd({ recurrence, startDate, endDate }) {
+  if (recurrence.until) {
+    return recurrence.until;
+  }
+  const horizon = new Date(startDate);
+  horizon.setUTCFullYear(horizon.getUTCFullYear() + RECURRENCE_HORIZON_YEARS);
+  const rule = Object.fromEntries(recurrence.rule.split(";").map((part) => part.split("=")));
+  const count = Number(rule.COUNT);
+  if (!count) {
+    return horizon;
+  }
+  const interval = Number(rule.INTERVAL) || 1;
+  const days = (FREQUENCY_DAYS[rule.FREQ] || FREQUENCY_DAYS.YEARLY) * interval * count;
+  const end = new Date(endDate.getTime() + days * DAY_MS);
+  return end < horizon ? end : horizon;
+}
+
+// One VTIMEZONE per zone, covering the earliest start to the latest end (or
+// last recurrence) of the events that reference it.
+function buildVTimezones(events) {
+  const ranges = new Map();
+  for (const event of events) {
+    if (!event.timeZone || event.allDay) {
+      continue;
+    }
+    const end = event.recurrence ? recurrenceEnd(event) : event.endDate;
+    const range = ranges.get(event.timeZone);
+    if (!range) {
+      ranges.set(event.timeZone, { start: event.startDate, end });
+    } else {
+      range.start = event.startDate < range.start ? event.startDate : range.start;
+      range.end = end > range.end ? end : range.end;
+    }
+  }
+  return [...ranges].flatMap(([timeZone, range]) => buildVTimezone(timeZone, range));
+}
+
+function buildCalendar({ events, name = "", refreshInterval = "", method = "PUBLISH" }) {
+  const dtstamp = new Date();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//airtable_wf//Airtable Dispatch//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+  ];
+
+  if (name) {
+    lines.push(foldIcsLine(`X-WR-CALNAME:${escapeIcsText(name)}`));
+  }
+  if (refreshInterval) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+      `X-PUBLISHED-TTL:${refreshInterval}`
+    );
+  }
+
+  lines.push(...buildVTimezones(events));
+  for (const event of events) {
+    lines.push(...buildVEvent(event, dtstamp));
+  }
+
+  lines.push("END:VCALENDAR", "");
+  return lines.join("\r\n");
+}
+
+// The calendar for one record: its event, or one event per session.
+// Cancelled records produce METHOD:CANCEL so clients that imported an earlier
+// version remove the event instead of keeping it.
+function buildIcs(events) {
+  const cancelled = events.every((event) => event.status === "CANCELLED");
+  return buildCalendar({ events, method: cancelled ? "CANCEL" : "PUBLISH" });
+}
+
+// Content hash that ignores DTSTAMP, which changes on every build, and
+// SEQUENCE, which is derived from whether the content changed.
+function icsContentHash(icsText) {
+  const material = String(icsText)
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith("DTSTAMP:") && !line.startsWith("SEQUENCE:"))
+    .join("\r\n");
+  return crypto.createHash("sha256").update(material, "utf8").digest("hex");
+}
+
+module.exports = {
+  escapeIcsText,
+  foldIcsLine,
+  formatParticipant,
+  eventUid,
+  recordIdFromEventUid,
+  recordIdFromSessionUid,
+  buildVEvent,
+  buildCalendar,
+  buildIcs,
+  icsContentHash,
+};
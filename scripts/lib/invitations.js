@@ -0,0 +1,261 @@
+"use strict";
+
+// iTIP (RFC 5546) email invitations: which REQUEST and CANCEL messages to
+// send for a record's events, and the MIME message that carries them.
+//
+// The sent state is kept on the record as JSON keyed by event UID:
+//
+//   {"airtable-recX@airtable-wf": {"method": "REQUEST", "hash": "...",
+//     "sequence": 1, "summary": "Workshop", "recipients": ["ada@example.org"]}}
+//
+// so a re-run with unchanged content and attendees sends nothing.
+
+const crypto = require("node:crypto");
+const {
+  escapeIcsText,
+  foldIcsLine,
+  formatParticipant,
+  eventUid,
+  buildCalendar,
+  icsContentHash,
+} = require("./ics");
+const { toUtcIcsDate } = require("./dates");
+const { buildEventPage } = require("./event-page");
+
+function parseInvitationState(value, fieldName) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) {
+    return {};
+  }
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid invitation state in Airtable field "${fieldName}": ${error.message}`);
+  }
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    throw new Error(`Invitation state in Airtable field "${fieldName}" must be a JSON object.`);
+  }
+  return state;
+}
+
+function invitationCalendar(event, { method, sequence, attendees }) {
+  const status = method === "CANCEL" ? "CANCELLED" : event.status;
+  return buildCalendar({ events: [{ ...event, status, sequence, attendees }], method });
+}
+
+// CANCEL for an event that is no longer built, such as a removed session.
+// RFC 5546 only requires the UID, SEQUENCE, ORGANIZER and ATTENDEEs. Without
+// an organizer nothing is sent; the caller reports that once planning is done.
+function removedEventCalendar({ uid, summary, organizer, attendees, sequence }) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//airtable_wf//Airtable Dispatch//EN",
+    "METHOD:CANCEL",
+    "BEGIN:VEVENT",
+    foldIcsLine(`UID:${uid}`),
+    `DTSTAMP:${toUtcIcsDate(new Date())}`,
+    `SEQUENCE:${sequence}`,
+    "STATUS:CANCELLED",
+    foldIcsLine(`SUMMARY:${escapeIcsText(summary)}`),
+    ...(organizer ? [formatParticipant("ORGANIZER", organizer)] : []),
+    ...attendees.map((attendee) => formatParticipant("ATTENDEE", attendee)),
+    "END:VEVENT",
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
+
+function nextSequence(event, previous) {
+  const own = event && Number.isInteger(event.sequence) ? event.sequence : 0;
+  return previous ? Math.max(own, previous.sequence + 1) : own;
+}
+
+// The messages to send and the new state entry for each. Attendees get a
+// REQUEST when the event or its attendee list changed since their last one,
+// and a CANCEL when the event is cancelled, removed, or they were removed
+// from it. Each entry is stored as soon as its message is sent; `entry: null`
+// drops the UID from the state.
+function planInvitations(events, state, { organizer, locale }) {
+  const sends = [];
+  const current = new Set();
+
+  for (const event of events) {
+    const uid = event.uid || eventUid(event.recordId);
+    current.add(uid);
+    const previous = state[uid] && state[uid].method === "REQUEST" ? state[uid] : null;
+    const recipients = event.attendees.map((attendee) => attendee.email.toLowerCase());
+
+    if (event.status === "CANCELLED" || recipients.length === 0) {
+      if (previous) {
+        const sequence = nextSequence(event, previous);
+        const attendees = previous.recipients.map((email) => ({ name: "", email }));
+        sends.push({
+          uid,
+          method: "CANCEL",
+          summary: event.eventName,
+          recipients: previous.recipients,
+          calendar: invitationCalendar(event, { method: "CANCEL", sequence, attendees }),
+          text: buildEventPage([event], { format: "markdown", locale }),
+          entry: { ...previous, method: "CANCEL", sequence },
+        });
+      }
+      continue;
+    }
+
+    const text = buildEventPage([event], { format: "markdown", locale });
+    const hash = icsContentHash(
+      invitationCalendar(event, { method: "REQUEST", sequence: 0, attendees: event.attendees })
+    );
+    if (previous && previous.hash === hash) {
+      continue;
+    }
+    const sequence = nextSequence(event, previous || state[uid]);
+    const removed = previous
+      ? previous.recipients.filter((email) => !recipients.includes(email))
+      : [];
+    if (removed.length > 0) {
+      const attendees = removed.map((email) => ({ name: "", email }));
+      sends.push({
+        uid,
+        method: "CANCEL",
+        summary: event.eventName,
+        recipients: removed,
+        calendar: invitationCalendar(event, { method: "CANCEL", sequence, attendees }),
+        text,
+        // Recorded on its own, so a failed REQUEST does not send it again.
+        entry: {
+          ...previous,
+          sequence,
+          recipients: previous.recipients.filter((email) => !removed.includes(email)),
+        },
+      });
+    }
+    sends.push({
+      uid,
+      method: "REQUEST",
+      update: Boolean(previous),
+      summary: event.eventName,
+      recipients,
+      calendar: invitationCalendar(event, {
+        method: "REQUEST",
+        sequence,
+        attendees: event.attendees,
+      }),
+      text,
+      entry: { method: "REQUEST", hash, sequence, summary: event.eventName, recipients },
+    });
+  }
+
+  for (const [uid, previous] of Object.entries(state)) {
+    if (current.has(uid) || !previous || previous.method !== "REQUEST") {
+      continue;
+    }
+    const sequence = previous.sequence + 1;
+    const attendees = previous.recipients.map((email) => ({ name: "", email }));
+    sends.push({
+      uid,
+      method: "CANCEL",
+      summary: previous.summary || "",
+      recipients: previous.recipients,
+      calendar: removedEventCalendar({
+        uid,
+        summary: previous.summary || "",
+        organizer,
+        attendees,
+        sequence,
+      }),
+      text: previous.summary ? `${previous.summary}\n` : "",
+      entry: null,
+    });
+  }
+  return sends;
+}
+
+// RFC 2047 encoded words for non-ASCII header text, split on whole
+// characters so each word stays under the 75 character limit.
+function encodeHeaderText(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return text;
+  }
+  const words = [];
+  let chunk = "";
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char, "utf8") > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words
+    .map((word) => `=?UTF-8?B?${Buffer.from(word, "utf8").toString("base64")}?=`)
+    .join(" ");
+}
+
+function formatAddress({ name, email }) {
+  if (!name) {
+    return email;
+  }
+  const display = /^[\x20-\x7e]*$/.test(name)
+    ? `"${name.replace(/["\\]/g, "\\$&")}"`
+    : encodeHeaderText(name);
+  return `${display} <${email}>`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+}
+
+function invitationSubject({ method, update, summary }) {
+  if (method === "CANCEL") {
+    return `Cancelled: ${summary}`;
+  }
+  return `${update ? "Updated invitation" : "Invitation"}: ${summary}`;
+}
+
+// multipart/alternative with a plain text part and the text/calendar part
+// mail clients show as an invitation with accept/decline buttons.
+function buildInvitationMessage(send, { from, organizer }) {
+  const boundary = `=_airtable-wf-${crypto.randomBytes(12).toString("hex")}`;
+  const text =
+    send.method === "CANCEL" ? `This event has been cancelled.\n\n${send.text}` : send.text;
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${send.recipients.join(", ")}`,
+    ...(from.email.toLowerCase() === organizer.email.toLowerCase()
+      ? []
+      : [`Reply-To: ${formatAddress(organizer)}`]),
+    `Subject: ${encodeHeaderText(invitationSubject(send))}`,
+    `Date: ${new Date().toUTCString().replace(/GMT$/, "+0000")}`,
+    `Message-ID: <${crypto.randomUUID()}@airtable-wf>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+  ];
+  return [
+    ...headers,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(text),
+    `--${boundary}`,
+    `Content-Type: text/calendar; charset=utf-8; method=${send.method}`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(send.calendar),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+module.exports = {
+  parseInvitationState,
+  planInvitations,
+  invitationSubject,
+  buildInvitationMessage,
+};
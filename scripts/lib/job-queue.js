@@ -0,0 +1,130 @@
+"use strict";
+
+// In-memory job queue for the HTTP receiver. Jobs with the same key (one per
+// record) coalesce while they wait, a key never runs twice at the same time,
+// and at most `concurrency` jobs run at once.
+
+const crypto = require("node:crypto");
+
+const DEFAULT_HISTORY_LIMIT = 500;
+
+function createJobQueue({ concurrency, runJob, beforeJob, historyLimit = DEFAULT_HISTORY_LIMIT }) {
+  const jobs = new Map();
+  const pending = [];
+  const runningKeys = new Set();
+  const idleWaiters = [];
+  let closed = false;
+
+  function publicJob(job) {
+    const { data, ...rest } = job;
+    return rest;
+  }
+
+  function pruneHistory() {
+    const finished = [...jobs.values()].filter(
+      (job) => job.status === "succeeded" || job.status === "failed"
+    );
+    for (const job of finished.slice(0, Math.max(0, finished.length - historyLimit))) {
+      jobs.delete(job.id);
+    }
+  }
+
+  function notifyIdle() {
+    if (runningKeys.size === 0) {
+      while (idleWaiters.length > 0) {
+        idleWaiters.shift()();
+      }
+    }
+  }
+
+  async function run(job) {
+    if (beforeJob) {
+      beforeJob({ running: runningKeys.size });
+    }
+    runningKeys.add(job.key);
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = (await runJob(job.data, job)) || null;
+      job.status = "succeeded";
+    } catch (error) {
+      job.status = "failed";
+      job.error = error && error.message ? error.message : String(error);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      runningKeys.delete(job.key);
+      pruneHistory();
+      schedule();
+      notifyIdle();
+    }
+  }
+
+  function schedule() {
+    let index = 0;
+    while (!closed && index < pending.length && runningKeys.size < concurrency) {
+      const job = pending[index];
+      if (runningKeys.has(job.key)) {
+        index += 1;
+        continue;
+      }
+      pending.splice(index, 1);
+      run(job);
+    }
+  }
+
+  // Returns the queued job for `key` when one is already waiting, so rapid
+  // edits to a record produce a single run (which reads the record when it
+  // starts, so it sees the latest edit).
+  function enqueue(key, data, summary = {}) {
+    const waiting = pending.find((job) => job.key === key);
+    if (waiting) {
+      waiting.coalesced += 1;
+      return { job: publicJob(waiting), deduplicated: true };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      ...summary,
+      status: "queued",
+      coalesced: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      data,
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    schedule();
+    return { job: publicJob(job), deduplicated: false };
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? publicJob(job) : null;
+  }
+
+  function list() {
+    return [...jobs.values()].reverse().map(publicJob);
+  }
+
+  function stats() {
+    return { queued: pending.length, running: runningKeys.size, concurrency };
+  }
+
+  // Stops starting new jobs and resolves once the running ones finish.
+  function close() {
+    closed = true;
+    return runningKeys.size === 0
+      ? Promise.resolve()
+      : new Promise((resolve) => idleWaiters.push(resolve));
+  }
+
+  return { enqueue, get, list, stats, close };
+}
+
+module.exports = {
+  createJobQueue,
+};
@@ -0,0 +1,78 @@
+"use strict";
+
+// schema.org Event JSON-LD, for embedding a record's events in a web page
+// with <script type="application/ld+json">.
+
+const { DAY_MS } = require("./dates");
+const { eventUid } = require("./ics");
+const { getWallClockParts, getOffsetMinutes } = require("./timezone");
+
+const EVENT_STATUS = {
+  CANCELLED: "https://schema.org/EventCancelled",
+  TENTATIVE: "https://schema.org/EventScheduled",
+  CONFIRMED: "https://schema.org/EventScheduled",
+};
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+// ISO 8601 with the event's local time and UTC offset, so pages show the
+// time the organizers wrote down.
+function isoDateTime(date, timeZone) {
+  if (!timeZone) {
+    return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+  }
+  const { year, month, day, hour, minute, second } = getWallClockParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? "-" : "+";
+  const zone = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${zone}`;
+}
+
+function eventItem(event) {
+  const { allDay, startDate, endDate, timeZone } = event;
+  const item = {
+    "@type": "Event",
+    identifier: event.uid || eventUid(event.recordId),
+    name: event.eventName,
+    // All-day end dates are exclusive in the event; schema.org expects the
+    // last day.
+    startDate: allDay ? startDate.toISOString().slice(0, 10) : isoDateTime(startDate, timeZone),
+    endDate: allDay
+      ? new Date(endDate.getTime() - DAY_MS).toISOString().slice(0, 10)
+      : isoDateTime(endDate, timeZone),
+    eventStatus: EVENT_STATUS[event.status] || EVENT_STATUS.CONFIRMED,
+  };
+  if (event.location) {
+    item.location = { "@type": "Place", name: event.location };
+  }
+  if (event.description) {
+    item.description = event.description;
+  }
+  if (event.url) {
+    item.url = event.url;
+  }
+  if (event.organizer) {
+    item.organizer = {
+      "@type": "Person",
+      ...(event.organizer.name ? { name: event.organizer.name } : {}),
+      email: event.organizer.email,
+    };
+  }
+  return item;
+}
+
+// One Event object, or an @graph of them when the record has sessions.
+function buildEventJsonLd(events) {
+  const items = events.map(eventItem);
+  const document =
+    items.length === 1
+      ? { "@context": "https://schema.org", ...items[0] }
+      : { "@context": "https://schema.org", "@graph": items };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+module.exports = {
+  buildEventJsonLd,
+};
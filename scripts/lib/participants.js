@@ -0,0 +1,69 @@
+"use strict";
+
+// Organizer/attendee extraction from Airtable values: collaborator objects,
+// plain email text ("Jane Doe <jane@example.org>", comma or newline
+// separated) and lookups of email fields (arrays of strings).
+
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+const ADDRESS_PATTERN =
+  /(?:"?([^"<>,;\n]*?)"?\s*<(?:mailto:)?([^<>\s]+)>|(?:mailto:)?([^\s<>,;"]+@[^\s<>,;"]+))/gi;
+
+function participantError(fieldName, value) {
+  return new Error(
+    `Invalid email in Airtable field "${fieldName}": ${
+      typeof value === "string" ? value : JSON.stringify(value)
+    }`
+  );
+}
+
+function parseAddressText(text, fieldName) {
+  const participants = [];
+  for (const match of text.matchAll(ADDRESS_PATTERN)) {
+    const email = (match[2] || match[3] || "").trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      throw participantError(fieldName, email);
+    }
+    participants.push({ name: (match[1] || "").trim(), email });
+  }
+  if (participants.length === 0) {
+    throw participantError(fieldName, text);
+  }
+  return participants;
+}
+
+function parseParticipantValue(value, fieldName) {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => parseParticipantValue(item, fieldName));
+  }
+  if (typeof value === "string") {
+    return value.trim() ? parseAddressText(value, fieldName) : [];
+  }
+  if (typeof value === "object") {
+    // Airtable collaborator: { id, email, name }
+    const email = typeof value.email === "string" ? value.email.trim() : "";
+    if (!EMAIL_PATTERN.test(email)) {
+      throw participantError(fieldName, value);
+    }
+    return [{ name: typeof value.name === "string" ? value.name.trim() : "", email }];
+  }
+  throw participantError(fieldName, value);
+}
+
+function parseParticipants(value, fieldName) {
+  const seen = new Set();
+  return parseParticipantValue(value, fieldName).filter((participant) => {
+    const key = participant.email.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  parseParticipants,
+};
@@ -0,0 +1,135 @@
+"use strict";
+
+// HTTP front end for the job queue (node:http only):
+//
+//   POST /dispatch   body: {recordId, automationKey, ...} or {client_payload: {...}}
+//   GET  /health     liveness plus queue counters
+//   GET  /jobs       recent jobs, newest first
+//   GET  /jobs/<id>  one job's status
+//
+// `acceptPayload(payload)` validates a payload and returns
+// { key, data, summary } for the queue; errors with a `statusCode` property
+// are answered with that status, others with 400.
+
+const http = require("node:http");
+const crypto = require("node:crypto");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(`${JSON.stringify(body)}\n`);
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function readJsonBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes.`);
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null");
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+function isAuthorized(request, token) {
+  if (!token) {
+    return true;
+  }
+  const header = String(request.headers.authorization || "");
+  const expected = `Bearer ${token}`;
+  return (
+    header.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected))
+  );
+}
+
+function createReceiver({ queue, acceptPayload, token = "" }) {
+  const startedAt = Date.now();
+  // Payloads are accepted one at a time so replay checks see each other.
+  let acceptChain = Promise.resolve();
+
+  async function handleDispatch(request, response) {
+    const body = await readJsonBody(request);
+    const payload =
+      body && typeof body.client_payload === "object" && body.client_payload
+        ? body.client_payload
+        : body;
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      throw httpError(400, "Request body must be a JSON object.");
+    }
+
+    const accepted = acceptChain.then(() => acceptPayload(payload));
+    acceptChain = accepted.catch(() => {});
+    const { key, data, summary } = await accepted;
+
+    const { job, deduplicated } = queue.enqueue(key, data, summary);
+    sendJson(response, 202, { job, deduplicated });
+  }
+
+  async function handle(request, response) {
+    const url = new URL(request.url, "http://localhost");
+    const route = url.pathname.replace(/\/+$/, "") || "/";
+
+    if (route === "/health" && request.method === "GET") {
+      sendJson(response, 200, {
+        status: "ok",
+        uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+        ...queue.stats(),
+      });
+      return;
+    }
+
+    if (!isAuthorized(request, token)) {
+      throw httpError(401, "Missing or invalid bearer token.");
+    }
+
+    if (route === "/dispatch") {
+      if (request.method !== "POST") {
+        throw httpError(405, "Use POST for /dispatch.");
+      }
+      await handleDispatch(request, response);
+      return;
+    }
+    if (route === "/jobs" && request.method === "GET") {
+      sendJson(response, 200, { jobs: queue.list() });
+      return;
+    }
+    const jobMatch = route.match(/^\/jobs\/([\w-]+)$/);
+    if (jobMatch && request.method === "GET") {
+      const job = queue.get(jobMatch[1]);
+      if (!job) {
+        throw httpError(404, `Job ${jobMatch[1]} not found.`);
+      }
+      sendJson(response, 200, { job });
+      return;
+    }
+    throw httpError(404, `No route for ${request.method} ${route}.`);
+  }
+
+  return http.createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      const statusCode = error.statusCode || 400;
+      if (!response.headersSent) {
+        sendJson(response, statusCode, { error: error.message });
+      }
+    });
+  });
+}
+
+module.exports = {
+  createReceiver,
+  httpError,
+};
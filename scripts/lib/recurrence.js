@@ -0,0 +1,348 @@
+"use strict";
+
+// Maps Airtable recurrence fields (preset single-selects or raw RRULE text)
+// onto validated RRULE and EXDATE values for a single VEVENT.
+
+const {
+  DAY_MS,
+  toUtcIcsDate,
+  toIcsDateValue,
+  parseDate,
+  isEmptyFieldValue,
+  isDateOnlyValue,
+  parseCalendarDate,
+} = require("./dates");
+const { getWallClockParts, fromLocalDateTime } = require("./timezone");
+
+const RECURRENCE_PRESETS = {
+  daily: "FREQ=DAILY",
+  weekdays: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR",
+  weekly: "FREQ=WEEKLY",
+  biweekly: "FREQ=WEEKLY;INTERVAL=2",
+  fortnightly: "FREQ=WEEKLY;INTERVAL=2",
+  monthly: "FREQ=MONTHLY",
+  yearly: "FREQ=YEARLY",
+  annually: "FREQ=YEARLY",
+};
+
+const NON_RECURRING_VALUES = new Set(["", "none", "once", "never", "doesnotrepeat"]);
+
+const FREQUENCIES = new Set([
+  "SECONDLY",
+  "MINUTELY",
+  "HOURLY",
+  "DAILY",
+  "WEEKLY",
+  "MONTHLY",
+  "YEARLY",
+]);
+const WEEKDAY_PATTERN = /^(SU|MO|TU|WE|TH|FR|SA)$/;
+const BYDAY_PATTERN = /^([+-]?)(\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+const UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/;
+
+// [min, max, allowNegative] for numeric BYxxx lists.
+const NUMERIC_LIST_RANGES = {
+  BYSECOND: [0, 60, false],
+  BYMINUTE: [0, 59, false],
+  BYHOUR: [0, 23, false],
+  BYMONTHDAY: [1, 31, true],
+  BYYEARDAY: [1, 366, true],
+  BYWEEKNO: [1, 53, true],
+  BYMONTH: [1, 12, false],
+  BYSETPOS: [1, 366, true],
+};
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function recurrenceError(fieldName, message) {
+  return new Error(`Invalid recurrence in Airtable field "${fieldName}": ${message}`);
+}
+
+function parsePositiveInteger(value) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) < 1) {
+    return null;
+  }
+  return Number(text);
+}
+
+function validateNumericList(key, value, fieldName) {
+  const [min, max, allowNegative] = NUMERIC_LIST_RANGES[key];
+  for (const item of value.split(",")) {
+    const match = item.match(/^([+-]?)(\d{1,3})$/);
+    const number = match ? Number(match[2]) : NaN;
+    if (
+      !match ||
+      (match[1] === "-" && !allowNegative) ||
+      number < min ||
+      number > max ||
+      (allowNegative && number === 0)
+    ) {
+      throw recurrenceError(fieldName, `${key} value "${item}" is out of range`);
+    }
+  }
+}
+
+function parseUntilValue(value, fieldName) {
+  const match = value.match(UNTIL_PATTERN);
+  if (!match) {
+    throw recurrenceError(fieldName, `UNTIL value "${value}" is not an ICS date or date-time`);
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  const isoText = hour
+    ? `${year}-${month}-${day}T${hour}:${minute}:${second}Z`
+    : `${year}-${month}-${day}`;
+  return { value: isoText, dateOnly: !hour };
+}
+
+// Parses "FREQ=WEEKLY;BYDAY=MO" (optionally prefixed with "RRULE:") into an
+// ordered list of [key, value] pairs, rejecting anything RFC 5545 would not.
+function parseRuleText(text, fieldName) {
+  const body = text.replace(/^RRULE:/i, "").trim();
+  if (!body) {
+    throw recurrenceError(fieldName, "rule is empty");
+  }
+
+  const parts = [];
+  const seen = new Set();
+  for (const segment of body.split(";")) {
+    const trimmed = segment.trim();
+    if (!trimmed) {
+      continue;
+    }
+    const separator = trimmed.indexOf("=");
+    if (separator <= 0 || separator === trimmed.length - 1) {
+      throw recurrenceError(fieldName, `"${trimmed}" is not a KEY=VALUE pair`);
+    }
+    const key = trimmed.slice(0, separator).trim().toUpperCase();
+    const value = trimmed.slice(separator + 1).trim().toUpperCase();
+    if (seen.has(key)) {
+      throw recurrenceError(fieldName, `${key} is specified more than once`);
+    }
+    seen.add(key);
+
+    if (key === "FREQ") {
+      if (!FREQUENCIES.has(value)) {
+        throw recurrenceError(fieldName, `unsupported FREQ "${value}"`);
+      }
+    } else if (key === "INTERVAL" || key === "COUNT") {
+      if (parsePositiveInteger(value) === null) {
+        throw recurrenceError(fieldName, `${key} must be a positive integer, got "${value}"`);
+      }
+    } else if (key === "UNTIL") {
+      parseUntilValue(value, fieldName);
+    } else if (key === "BYDAY") {
+      for (const item of value.split(",")) {
+        const match = item.match(BYDAY_PATTERN);
+        if (!match || (match[2] && (Number(match[2]) < 1 || Number(match[2]) > 53))) {
+          throw recurrenceError(fieldName, `BYDAY value "${item}" is invalid`);
+        }
+      }
+    } else if (key === "WKST") {
+      if (!WEEKDAY_PATTERN.test(value)) {
+        throw recurrenceError(fieldName, `WKST value "${value}" is invalid`);
+      }
+    } else if (NUMERIC_LIST_RANGES[key]) {
+      validateNumericList(key, value, fieldName);
+    } else {
+      throw recurrenceError(fieldName, `unknown rule part "${key}"`);
+    }
+
+    parts.push([key, value]);
+  }
+
+  if (!seen.has("FREQ")) {
+    throw recurrenceError(fieldName, "FREQ is required");
+  }
+  if (seen.has("UNTIL") && seen.has("COUNT")) {
+    throw recurrenceError(fieldName, "UNTIL and COUNT cannot both be set");
+  }
+
+  return [...parts.filter(([key]) => key === "FREQ"), ...parts.filter(([key]) => key !== "FREQ")];
+}
+
+function resolveRuleText(rawValue, fieldName) {
+  if (typeof rawValue !== "string") {
+    throw recurrenceError(fieldName, `expected text, got ${JSON.stringify(rawValue)}`);
+  }
+  const text = rawValue.trim();
+
+  const presetKey = text.toLowerCase().replace(/[\s_-]+/g, "");
+  if (NON_RECURRING_VALUES.has(presetKey)) {
+    return "";
+  }
+  if (RECURRENCE_PRESETS[presetKey]) {
+    return RECURRENCE_PRESETS[presetKey];
+  }
+  if (!text.includes("=")) {
+    throw recurrenceError(
+      fieldName,
+      `"${text}" is not a known option (${Object.keys(RECURRENCE_PRESETS).join(
+        ", "
+      )}) or an RRULE such as FREQ=WEEKLY;BYDAY=MO`
+    );
+  }
+  return text;
+}
+
+// Moves a calendar date onto the time of day at which the event starts, so a
+// date-only exception removes the occurrence on that day.
+function atStartTimeOfDay(calendarDate, startDate, timeZone) {
+  if (!timeZone) {
+    const timeOfDay = startDate.getTime() % DAY_MS;
+    return new Date(calendarDate.getTime() + timeOfDay);
+  }
+  const { hour, minute, second } = getWallClockParts(startDate, timeZone);
+  return fromLocalDateTime(
+    {
+      year: calendarDate.getUTCFullYear(),
+      month: calendarDate.getUTCMonth() + 1,
+      day: calendarDate.getUTCDate(),
+      hour,
+      minute,
+      second,
+    },
+    timeZone
+  );
+}
+
+// Last instant of a calendar date, used when a timed event repeats "until"
+// a plain date.
+function endOfCalendarDate(calendarDate, timeZone) {
+  if (!timeZone) {
+    return new Date(calendarDate.getTime() + DAY_MS - 1000);
+  }
+  return fromLocalDateTime(
+    {
+      year: calendarDate.getUTCFullYear(),
+      month: calendarDate.getUTCMonth() + 1,
+      day: calendarDate.getUTCDate(),
+      hour: 23,
+      minute: 59,
+      second: 59,
+    },
+    timeZone
+  );
+}
+
+function resolveUntil(value, dateOnly, fieldName, { allDay, timeZone, startDate }) {
+  let until;
+  if (allDay) {
+    until = parseCalendarDate(value, fieldName, timeZone);
+  } else if (dateOnly) {
+    until = endOfCalendarDate(parseCalendarDate(value, fieldName, timeZone), timeZone);
+  } else {
+    until = parseDate(value, fieldName);
+  }
+  if (until < startDate) {
+    throw recurrenceError(fieldName, "the recurrence ends before the event starts");
+  }
+  return until;
+}
+
+function splitExceptionValues(rawValue) {
+  const values = Array.isArray(rawValue) ? rawValue : [rawValue];
+  return values
+    .flatMap((value) => (typeof value === "string" ? value.split(/[\n,;]+/) : [value]))
+    .map((value) => (typeof value === "string" ? value.trim() : value))
+    .filter((value) => !isEmptyFieldValue(value));
+}
+
+function resolveExceptionDates(rawValue, fieldName, { allDay, timeZone, startDate }) {
+  const dates = splitExceptionValues(rawValue).map((value) => {
+    if (allDay) {
+      return parseCalendarDate(value, fieldName, timeZone);
+    }
+    if (isDateOnlyValue(value)) {
+      return atStartTimeOfDay(parseCalendarDate(value, fieldName), startDate, timeZone);
+    }
+    return parseDate(value, fieldName);
+  });
+
+  const unique = new Map(dates.map((date) => [date.getTime(), date]));
+  return [...unique.values()].sort((a, b) => a - b);
+}
+
+// Returns null for non-recurring records, otherwise
+// { rule: "FREQ=...;UNTIL=...", until: Date | null, exceptionDates: Date[] }.
+function resolveRecurrence(
+  fields,
+  { recurrenceField, recurrenceUntilField, recurrenceCountField, exceptionDatesField },
+  timing
+) {
+  if (!recurrenceField) {
+    return null;
+  }
+
+  const rawRule = firstValue(fields[recurrenceField]);
+  if (isEmptyFieldValue(rawRule)) {
+    return null;
+  }
+  const ruleText = resolveRuleText(rawRule, recurrenceField);
+  if (!ruleText) {
+    return null;
+  }
+
+  const parts = parseRuleText(ruleText, recurrenceField);
+  const partIndex = (key) => parts.findIndex(([partKey]) => partKey === key);
+
+  const untilValue = recurrenceUntilField ? firstValue(fields[recurrenceUntilField]) : undefined;
+  const countValue = recurrenceCountField ? firstValue(fields[recurrenceCountField]) : undefined;
+  const hasUntilField = !isEmptyFieldValue(untilValue);
+  const hasCountField = !isEmptyFieldValue(countValue);
+
+  if (hasUntilField && hasCountField) {
+    throw recurrenceError(
+      recurrenceUntilField,
+      `cannot be combined with a value in "${recurrenceCountField}"`
+    );
+  }
+  if ((hasUntilField || hasCountField) && (partIndex("UNTIL") >= 0 || partIndex("COUNT") >= 0)) {
+    throw recurrenceError(
+      recurrenceField,
+      `rule already sets UNTIL/COUNT; clear "${
+        hasUntilField ? recurrenceUntilField : recurrenceCountField
+      }" or remove it from the rule`
+    );
+  }
+
+  let until = null;
+  if (hasUntilField) {
+    until = resolveUntil(untilValue, isDateOnlyValue(untilValue), recurrenceUntilField, timing);
+    parts.push(["UNTIL", ""]);
+  } else if (partIndex("UNTIL") >= 0) {
+    const parsed = parseUntilValue(parts[partIndex("UNTIL")][1], recurrenceField);
+    until = resolveUntil(parsed.value, parsed.dateOnly, recurrenceField, timing);
+  }
+  if (until) {
+    parts[partIndex("UNTIL")][1] = timing.allDay ? toIcsDateValue(until) : toUtcIcsDate(until);
+  }
+
+  if (hasCountField) {
+    const count = parsePositiveInteger(countValue);
+    if (count === null) {
+      throw recurrenceError(
+        recurrenceCountField,
+        `expected a positive whole number, got ${JSON.stringify(countValue)}`
+      );
+    }
+    parts.push(["COUNT", String(count)]);
+  }
+
+  const exceptionDates =
+    exceptionDatesField && !isEmptyFieldValue(fields[exceptionDatesField])
+      ? resolveExceptionDates(fields[exceptionDatesField], exceptionDatesField, timing)
+      : [];
+
+  return {
+    rule: parts.map(([key, value]) => `${key}=${value}`).join(";"),
+    until,
+    exceptionDates,
+  };
+}
+
+module.exports = {
+  resolveRecurrence,
+};
@@ -0,0 +1,94 @@
+"use strict";
+
+// AWS Signature Version 4 for S3-compatible object stores (AWS S3, MinIO,
+// Cloudflare R2, ...). Objects are addressed path-style:
+// <endpoint>/<bucket>/<key>.
+
+const crypto = require("node:crypto");
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data, "utf8").digest();
+}
+
+// RFC 3986 encoding per path segment, keeping the "/" separators.
+function encodeObjectKey(key) {
+  return String(key)
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join("/");
+}
+
+function s3ObjectUrl({ endpoint, bucket, key }) {
+  return `${endpoint.replace(/\/+$/, "")}/${encodeURIComponent(bucket)}/${encodeObjectKey(key)}`;
+}
+
+// Request headers, including Authorization, for `method url` with `body`.
+// The URL path must already be encoded (see s3ObjectUrl); query strings are
+// not supported.
+function signS3Request({
+  method,
+  url,
+  headers = {},
+  body = Buffer.alloc(0),
+  region,
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  now = new Date(),
+}) {
+  const { host, pathname } = new URL(url);
+  const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body);
+
+  const signedHeaders = { host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+  for (const [name, value] of Object.entries(headers)) {
+    signedHeaders[name.toLowerCase()] = String(value).trim();
+  }
+  if (sessionToken) {
+    signedHeaders["x-amz-security-token"] = sessionToken;
+  }
+  const names = Object.keys(signedHeaders).sort();
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    "",
+    ...names.map((name) => `${name}:${signedHeaders[name]}`),
+    "",
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+  let signingKey = hmac(`AWS4${secretAccessKey}`, date);
+  for (const part of [region, "s3", "aws4_request"]) {
+    signingKey = hmac(signingKey, part);
+  }
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  // fetch() sets Host itself.
+  const { host: _host, ...requestHeaders } = signedHeaders;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(
+      ";"
+    )}, Signature=${signature}`,
+  };
+}
+
+module.exports = {
+  encodeObjectKey,
+  s3ObjectUrl,
+  signS3Request,
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+// Sessions expand one record into several events. They come from a linked
+// session table or from a schedule typed into a text field, either as JSON
+//
+//   [{"id": "day1", "start": "2026-05-04 09:00", "end": "2026-05-04 12:00",
+//     "name": "Intro", "location": "Room 1", "description": "..."}]
+//
+// or one session per line: "start | end | location | name".
+
+const { nonEmptyString, normalizeText } = require("./fields");
+const { fromLocalDateTime } = require("./timezone");
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// Schedules are typed by hand, so date-times without an offset are read in
+// the event time zone (UTC without one) rather than the machine's.
+function scheduleDateValue(value, timeZone) {
+  const text = normalizeText(value).trim();
+  const match = text.match(LOCAL_DATE_TIME_PATTERN);
+  if (!match) {
+    return text;
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1).map((part) => Number(part || 0));
+  const parts = { year, month, day, hour, minute, second };
+  const date = timeZone
+    ? fromLocalDateTime(parts, timeZone)
+    : new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.toISOString();
+}
+
+function parseScheduleJson(text, fieldName) {
+  let entries;
+  try {
+    entries = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON schedule in Airtable field "${fieldName}": ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`JSON schedule in Airtable field "${fieldName}" must be an array.`);
+  }
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(
+        `Session ${index + 1} in Airtable field "${fieldName}" must be an object with start and end.`
+      );
+    }
+    const id = typeof entry.id === "number" ? String(entry.id) : nonEmptyString(entry.id);
+    return {
+      key: id || String(index + 1),
+      start: entry.start,
+      end: entry.end,
+      name: normalizeText(entry.name || entry.title).trim(),
+      location: normalizeText(entry.location).trim(),
+      description: normalizeText(entry.description).trim(),
+    };
+  });
+}
+
+function parseScheduleLine(line, index) {
+  const [start = "", end = "", location = "", ...name] = line.split("|").map((part) => part.trim());
+  return { key: String(index + 1), start, end, location, name: name.join(" | "), description: "" };
+}
+
+// Sessions in a schedule field, in order. Without an "id", a session's key is
+// its position, so inserting a session changes the UIDs of those after it.
+function parseSchedule(value, fieldName, { timeZone = "" } = {}) {
+  const text = normalizeText(value).trim();
+  if (!text) {
+    return [];
+  }
+  const sessions = text.startsWith("[")
+    ? parseScheduleJson(text, fieldName)
+    : text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map(parseScheduleLine);
+  return sessions.map((session) => ({
+    ...session,
+    start: scheduleDateValue(session.start, timeZone),
+    end: scheduleDateValue(session.end, timeZone),
+  }));
+}
+
+// UID of one session, derived from the record's UID so it stays the same
+// across runs: "airtable-recX@airtable-wf" becomes "airtable-recX-<key>@airtable-wf".
+function sessionUid(uid, key) {
+  const suffix = `-${String(key).replace(/[^A-Za-z0-9_.-]+/g, "-")}`;
+  const at = uid.lastIndexOf("@");
+  return at === -1 ? `${uid}${suffix}` : `${uid.slice(0, at)}${suffix}${uid.slice(at)}`;
+}
+
+module.exports = {
+  parseSchedule,
+  sessionUid,
+};
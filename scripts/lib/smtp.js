@@ -0,0 +1,184 @@
+"use strict";
+
+// Minimal SMTP client (RFC 5321) for sending invitations: EHLO, STARTTLS or
+// implicit TLS, AUTH PLAIN/LOGIN, and one message per connection.
+
+const net = require("node:net");
+const os = require("node:os");
+const tls = require("node:tls");
+
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// Reads SMTP replies from `socket`. A reply ends with a "250 text" line after
+// any number of "250-text" continuation lines.
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, "");
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({
+          code: Number(line.slice(0, 3)),
+          lines: lines.map((item) => item.slice(4)),
+        });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = failure || error;
+    settle();
+  };
+  const onClose = () => onError(new Error("SMTP connection closed by the server."));
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+// Destroys `socket` once it is idle for `timeoutMs`. The timer runs from the
+// start, so a connect or TLS handshake that never completes fails too.
+function limitIdleTime(socket, { host, port, timeoutMs }) {
+  socket.setTimeout(timeoutMs, () =>
+    socket.destroy(new Error(`SMTP server ${host}:${port} timed out.`))
+  );
+  return socket;
+}
+
+function connectSocket({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    limitIdleTime(socket, { host, port, timeoutMs });
+    socket.once("error", reject);
+  });
+}
+
+function upgradeSocket(socket, { host, port, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    limitIdleTime(secureSocket, { host, port, timeoutMs });
+    secureSocket.once("error", reject);
+  });
+}
+
+// Lines starting with "." are doubled so they do not end the DATA section.
+function dotStuff(message) {
+  return message.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+}
+
+// Sends `message` (headers and body, CRLF line endings) to `recipients`.
+// `tls` is "tls" (implicit TLS, usually port 465), "starttls" (required, not
+// opportunistic) or "none". Each step, connecting included, fails after
+// `timeoutMs` without progress.
+async function sendSmtpMail({
+  host,
+  port,
+  tls: tlsMode = "starttls",
+  user = "",
+  password = "",
+  from,
+  recipients,
+  message,
+  timeoutMs = SMTP_TIMEOUT_MS,
+}) {
+  let socket = await connectSocket({ host, port, secure: tlsMode === "tls", timeoutMs });
+  let reader = replyReader(socket);
+
+  const command = async (line, expected, label = line.split(" ")[0]) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220], "greeting");
+    const heloName = os.hostname() || "localhost";
+    let capabilities = (await command(`EHLO ${heloName}`, [250])).lines.map((line) =>
+      line.toUpperCase()
+    );
+
+    if (tlsMode === "starttls") {
+      if (!capabilities.includes("STARTTLS")) {
+        throw new Error(
+          `SMTP server ${host}:${port} does not offer STARTTLS. Set SMTP_TLS=tls for port 465, or SMTP_TLS=none for a local test server.`
+        );
+      }
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = await upgradeSocket(socket, { host, port, timeoutMs });
+      reader = replyReader(socket);
+      capabilities = (await command(`EHLO ${heloName}`, [250])).lines.map((line) =>
+        line.toUpperCase()
+      );
+    }
+
+    if (user) {
+      const auth = capabilities.find((line) => line.startsWith("AUTH")) || "";
+      if (/\bPLAIN\b/.test(auth) || !/\bLOGIN\b/.test(auth)) {
+        const credentials = Buffer.from(`\0${user}\0${password}`, "utf8").toString("base64");
+        await command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+      } else {
+        await command("AUTH LOGIN", [334], "AUTH");
+        await command(Buffer.from(user, "utf8").toString("base64"), [334], "AUTH");
+        await command(Buffer.from(password, "utf8").toString("base64"), [235], "AUTH");
+      }
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250], "MAIL FROM");
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], "RCPT TO");
+    }
+    await command("DATA", [354]);
+    const body = dotStuff(message);
+    await command(`${body}${body.endsWith("\r\n") ? "" : "\r\n"}.`, [250], "DATA");
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  sendSmtpMail,
+};
@@ -0,0 +1,195 @@
+"use strict";
+
+// Field templates for composing SUMMARY/DESCRIPTION/LOCATION from several
+// Airtable fields, e.g. "{Name} — {Speaker|TBA}{#Room} ({Room}){/Room}".
+//
+//   {Field}              field value as text
+//   {Field:format}       formatted value (see FORMATTERS)
+//   {Field|fallback}     fallback text when the field is empty
+//   {#Field}...{/Field}  section rendered only when the field has a value
+//   {^Field}...{/Field}  section rendered only when the field is empty
+//   {{ and }}            literal braces
+
+const { nonEmptyString, normalizeText } = require("./fields");
+
+const TOKEN_PATTERN = /\{\{|\}\}|\{([#^/]?)([^{}]+)\}/g;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LOCALE = "en-GB";
+
+function isEmptyTemplateValue(value) {
+  if (Array.isArray(value)) {
+    return value.every(isEmptyTemplateValue);
+  }
+  return value === undefined || value === null || value === "" || value === false;
+}
+
+function formatDateValue(value, style, { timeZone, locale }) {
+  const text = typeof value === "string" ? value.trim() : "";
+  const dateOnly = DATE_ONLY_PATTERN.test(text);
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return normalizeText(value);
+  }
+
+  const options = {
+    timeZone: dateOnly ? "UTC" : timeZone || "UTC",
+    ...(style === "date" || dateOnly ? { dateStyle: "medium" } : {}),
+    ...(style === "time" && !dateOnly ? { timeStyle: "short" } : {}),
+    ...(style === "datetime" && !dateOnly ? { dateStyle: "medium", timeStyle: "short" } : {}),
+  };
+  return new Intl.DateTimeFormat(locale || DEFAULT_LOCALE, options).format(date);
+}
+
+function mapValues(value, formatItem) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.filter((item) => !isEmptyTemplateValue(item)).map(formatItem);
+}
+
+const FORMATTERS = {
+  date: (value, options) => mapValues(value, (item) => formatDateValue(item, "date", options)),
+  time: (value, options) => mapValues(value, (item) => formatDateValue(item, "time", options)),
+  datetime: (value, options) =>
+    mapValues(value, (item) => formatDateValue(item, "datetime", options)),
+  list: (value) => mapValues(value, normalizeText),
+  lines: (value) => [mapValues(value, normalizeText).join("\n")],
+  name: (value) =>
+    mapValues(value, (item) =>
+      item && typeof item === "object" ? nonEmptyString(item.name) : normalizeText(item)
+    ),
+  email: (value) =>
+    mapValues(value, (item) =>
+      item && typeof item === "object" ? nonEmptyString(item.email) : normalizeText(item)
+    ),
+  count: (value) => [String(Array.isArray(value) ? value.length : 1)],
+};
+
+function parsePlaceholder(body) {
+  const pipe = body.indexOf("|");
+  const reference = (pipe >= 0 ? body.slice(0, pipe) : body).trim();
+  const fallback = pipe >= 0 ? body.slice(pipe + 1) : "";
+
+  const colon = reference.lastIndexOf(":");
+  const suffix = colon >= 0 ? reference.slice(colon + 1) : "";
+  const format = suffix.trim().toLowerCase();
+  if (format && FORMATTERS[format]) {
+    return { type: "field", field: reference.slice(0, colon).trim(), format, fallback };
+  }
+  return { type: "field", field: reference, format: "", fallback };
+}
+
+// Parses a template into a node tree, throwing on unbalanced sections and
+// lone braces so configuration mistakes surface before any record is
+// processed.
+function parseTemplate(template) {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const pushText = (text) => {
+    if (text) {
+      stack[stack.length - 1].children.push({ type: "text", text });
+    }
+  };
+  // Text between placeholders, which must not contain a brace of its own.
+  const pushLiteral = (start, end) => {
+    const text = template.slice(start, end);
+    const brace = text.search(/[{}]/);
+    if (brace >= 0) {
+      throw new Error(
+        `unmatched "${text[brace]}" at position ${start + brace + 1} (write {{ or }} for a literal brace)`
+      );
+    }
+    pushText(text);
+  };
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    pushLiteral(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    if (match[0] === "{{" || match[0] === "}}") {
+      pushText(match[0][0]);
+      continue;
+    }
+
+    const [, sigil, rawBody] = match;
+    const body = rawBody.trim();
+    const current = stack[stack.length - 1];
+
+    if (sigil === "#" || sigil === "^") {
+      const section = { type: "section", field: body, inverted: sigil === "^", children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === "/") {
+      if (current.type !== "section" || current.field !== body) {
+        throw new Error(`unexpected {/${body}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push(parsePlaceholder(body));
+    }
+  }
+  pushLiteral(lastIndex, template.length);
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`section {${open.inverted ? "^" : "#"}${open.field}} is never closed`);
+  }
+  return root;
+}
+
+function renderNodes(nodes, fields, options) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") {
+        return node.text;
+      }
+      if (node.type === "section") {
+        const hasValue = !isEmptyTemplateValue(fields[node.field]);
+        return hasValue !== node.inverted ? renderNodes(node.children, fields, options) : "";
+      }
+
+      const value = fields[node.field];
+      if (isEmptyTemplateValue(value)) {
+        return node.fallback;
+      }
+      const formatter = FORMATTERS[node.format] || FORMATTERS.list;
+      const text = formatter(value, options).filter(Boolean).join(", ");
+      return text ? options.escape(text) : node.fallback;
+    })
+    .join("");
+}
+
+// `template` may be a string or the tree returned by parseTemplate. `escape`
+// is applied to field values (not to the template's own text), e.g. for HTML.
+function renderTemplate(
+  template,
+  fields,
+  { timeZone = "", locale = DEFAULT_LOCALE, escape = (text) => text } = {}
+) {
+  const tree = typeof template === "string" ? parseTemplate(template) : template;
+  return renderNodes(tree.children, fields || {}, { timeZone, locale, escape });
+}
+
+// Names of the fields a parsed template reads, in order of appearance.
+function templateFieldNames(tree) {
+  const names = new Set();
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.field) {
+        names.add(node.field);
+      }
+      if (node.children) {
+        visit(node.children);
+      }
+    }
+  };
+  visit(tree.children);
+  return [...names];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  parseTemplate,
+  renderTemplate,
+  templateFieldNames,
+};
@@ -0,0 +1,280 @@
+"use strict";
+
+// Time zone helpers built on Node's bundled ICU data (Intl), so ICS output can
+// carry TZID references and matching VTIMEZONE components without network
+// access or a tz database dependency.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const wallClockFormatters = new Map();
+
+function resolveTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return "";
+  }
+}
+
+function getWallClockFormatter(timeZone) {
+  let formatter = wallClockFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    wallClockFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function getWallClockParts(date, timeZone) {
+  const parts = {};
+  for (const part of getWallClockFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== "literal") {
+      parts[part.type] = Number(part.value);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+function getOffsetMinutes(date, timeZone) {
+  const parts = getWallClockParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  const wholeSeconds = date.getTime() - date.getUTCMilliseconds();
+  return Math.round((wallClockAsUtc - wholeSeconds) / MINUTE_MS);
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+function formatIcsDateTimeParts({ year, month, day, hour, minute, second }) {
+  return `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+}
+
+// Wall-clock time of `date` in `timeZone`, formatted for DTSTART;TZID=...
+function toLocalIcsDateTime(date, timeZone) {
+  return formatIcsDateTimeParts(getWallClockParts(date, timeZone));
+}
+
+// Calendar date of `date` in `timeZone`, as a Date at UTC midnight.
+function toLocalCalendarDate(date, timeZone) {
+  const { year, month, day } = getWallClockParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// UTC instant at which the wall clock in `timeZone` shows `parts`. Times that
+// fall into a DST gap resolve to the instant just after the gap.
+function fromLocalDateTime({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  let guess = wallClockAsUtc - getOffsetMinutes(new Date(wallClockAsUtc), timeZone) * MINUTE_MS;
+  guess = wallClockAsUtc - getOffsetMinutes(new Date(guess), timeZone) * MINUTE_MS;
+  return new Date(guess);
+}
+
+function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+function getTimeZoneName(date, timeZone) {
+  const names = ["en-GB", "en-US"].map((locale) => {
+    const part = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: "short" })
+      .formatToParts(date)
+      .find((item) => item.type === "timeZoneName");
+    return part ? part.value : "";
+  });
+  return names.find((name) => name && !/^GMT[+-]/.test(name)) || names[0] || "";
+}
+
+function findTransitions(timeZone, year) {
+  const transitions = [];
+  const yearEnd = Date.UTC(year + 1, 0, 1);
+  let cursor = Date.UTC(year, 0, 1);
+  let cursorOffset = getOffsetMinutes(new Date(cursor), timeZone);
+
+  while (cursor < yearEnd) {
+    const next = Math.min(cursor + DAY_MS, yearEnd);
+    const nextOffset = getOffsetMinutes(new Date(next), timeZone);
+
+    if (nextOffset !== cursorOffset) {
+      let low = cursor;
+      let high = next;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getOffsetMinutes(new Date(middle), timeZone) === cursorOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      const at = new Date(high);
+      const onset = new Date(high + cursorOffset * MINUTE_MS);
+      transitions.push({
+        at,
+        offsetFrom: cursorOffset,
+        offsetTo: nextOffset,
+        onset: {
+          year: onset.getUTCFullYear(),
+          month: onset.getUTCMonth() + 1,
+          day: onset.getUTCDate(),
+          hour: onset.getUTCHours(),
+          minute: onset.getUTCMinutes(),
+          second: 0,
+          weekday: onset.getUTCDay(),
+        },
+        name: getTimeZoneName(at, timeZone),
+      });
+    }
+
+    cursor = next;
+    cursorOffset = nextOffset;
+  }
+
+  return transitions;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function deriveYearlyRule(onset) {
+  const lastWeek = onset.day + 7 > daysInMonth(onset.year, onset.month);
+  const ordinal = lastWeek ? -1 : Math.ceil(onset.day / 7);
+  return { month: onset.month, ordinal, weekday: onset.weekday };
+}
+
+function ruleMatchesOnset(rule, onset) {
+  if (onset.month !== rule.month || onset.weekday !== rule.weekday) {
+    return false;
+  }
+  if (rule.ordinal === -1) {
+    return onset.day + 7 > daysInMonth(onset.year, onset.month);
+  }
+  return Math.ceil(onset.day / 7) === rule.ordinal;
+}
+
+function transitionsShareRules(reference, candidate) {
+  if (reference.length !== candidate.length) {
+    return false;
+  }
+  return reference.every((transition, index) => {
+    const other = candidate[index];
+    return (
+      other.offsetFrom === transition.offsetFrom &&
+      other.offsetTo === transition.offsetTo &&
+      other.onset.hour === transition.onset.hour &&
+      other.onset.minute === transition.onset.minute &&
+      ruleMatchesOnset(deriveYearlyRule(transition.onset), other.onset)
+    );
+  });
+}
+
+function observanceLines(transition, isDaylight, rrule) {
+  const kind = isDaylight ? "DAYLIGHT" : "STANDARD";
+  const lines = [`BEGIN:${kind}`, `DTSTART:${formatIcsDateTimeParts(transition.onset)}`];
+  if (rrule) {
+    lines.push(rrule);
+  }
+  lines.push(
+    `TZOFFSETFROM:${formatUtcOffset(transition.offsetFrom)}`,
+    `TZOFFSETTO:${formatUtcOffset(transition.offsetTo)}`
+  );
+  if (transition.name) {
+    lines.push(`TZNAME:${transition.name}`);
+  }
+  lines.push(`END:${kind}`);
+  return lines;
+}
+
+// Builds VTIMEZONE lines covering every instant between `start` and `end`.
+// Zones whose transitions follow a stable "nth weekday of month" pattern get
+// yearly RRULE observances; anything irregular lists each transition instead.
+function buildVTimezone(timeZone, { start, end }) {
+  const firstYear = start.getUTCFullYear() - 1;
+  const lastYear = Math.max(end.getUTCFullYear(), firstYear + 1);
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+
+  const transitionsByYear = [];
+  for (let year = firstYear; year <= lastYear; year += 1) {
+    transitionsByYear.push(findTransitions(timeZone, year));
+  }
+  const allTransitions = transitionsByYear.flat();
+
+  if (allTransitions.length === 0) {
+    const offset = getOffsetMinutes(start, timeZone);
+    lines.push(
+      ...observanceLines(
+        {
+          onset: { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 },
+          offsetFrom: offset,
+          offsetTo: offset,
+          name: getTimeZoneName(start, timeZone),
+        },
+        false,
+        ""
+      )
+    );
+    lines.push("END:VTIMEZONE");
+    return lines;
+  }
+
+  const [baseTransitions, ...laterYears] = transitionsByYear;
+  const hasYearlyRules =
+    baseTransitions.length > 0 &&
+    laterYears.every((transitions) => transitionsShareRules(baseTransitions, transitions));
+
+  if (hasYearlyRules) {
+    for (const transition of baseTransitions) {
+      const rule = deriveYearlyRule(transition.onset);
+      const rrule = `RRULE:FREQ=YEARLY;BYMONTH=${rule.month};BYDAY=${rule.ordinal}${
+        WEEKDAYS[rule.weekday]
+      }`;
+      lines.push(
+        ...observanceLines(transition, transition.offsetTo > transition.offsetFrom, rrule)
+      );
+    }
+  } else {
+    for (const transition of allTransitions) {
+      lines.push(...observanceLines(transition, transition.offsetTo > transition.offsetFrom, ""));
+    }
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+module.exports = {
+  resolveTimeZone,
+  getWallClockParts,
+  getOffsetMinutes,
+  fromLocalDateTime,
+  toLocalIcsDateTime,
+  toLocalCalendarDate,
+  buildVTimezone,
+};
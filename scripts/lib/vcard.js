@@ -0,0 +1,57 @@
+"use strict";
+
+// vCard 4.0 (RFC 6350) for contact records. Text values are escaped and
+// folded like ICS, which uses the same content line rules.
+
+const { escapeIcsText, foldIcsLine } = require("./ics");
+
+// "Ada King Lovelace" -> "Lovelace;Ada King;;;". vCard readers want N even
+// though FN already carries the display form.
+function structuredName(fullName) {
+  const parts = fullName.trim().split(/\s+/);
+  const family = parts.length > 1 ? parts.pop() : "";
+  return [family, parts.join(" "), "", "", ""].map(escapeIcsText).join(";");
+}
+
+function buildVCard({
+  uid,
+  fullName,
+  emails = [],
+  phones = [],
+  organization = "",
+  title = "",
+  url = "",
+  note = "",
+}) {
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:4.0",
+    foldIcsLine(`UID:${uid}`),
+    foldIcsLine(`FN:${escapeIcsText(fullName)}`),
+    foldIcsLine(`N:${structuredName(fullName)}`),
+  ];
+  for (const email of emails) {
+    lines.push(foldIcsLine(`EMAIL:${escapeIcsText(email)}`));
+  }
+  for (const phone of phones) {
+    lines.push(foldIcsLine(`TEL;VALUE=text:${escapeIcsText(phone)}`));
+  }
+  if (organization) {
+    lines.push(foldIcsLine(`ORG:${escapeIcsText(organization)}`));
+  }
+  if (title) {
+    lines.push(foldIcsLine(`TITLE:${escapeIcsText(title)}`));
+  }
+  if (url) {
+    lines.push(foldIcsLine(`URL:${url}`));
+  }
+  if (note) {
+    lines.push(foldIcsLine(`NOTE:${escapeIcsText(note)}`));
+  }
+  lines.push("END:VCARD", "");
+  return lines.join("\r\n");
+}
+
+module.exports = {
+  buildVCard,
+};
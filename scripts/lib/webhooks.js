@@ -0,0 +1,85 @@
+"use strict";
+
+// Helpers for Airtable's webhooks API: the webhook specification for an
+// automation and the record ids a batch of change payloads refers to.
+
+// Watches cell changes in `watchedFieldIds` of one table.
+function webhookSpecification({ tableId, watchedFieldIds }) {
+  return {
+    options: {
+      filters: {
+        dataTypes: ["tableData"],
+        recordChangeScope: tableId,
+        watchDataInFieldIds: [...watchedFieldIds].sort(),
+      },
+    },
+  };
+}
+
+function sameStringSet(a, b) {
+  const left = [...(Array.isArray(a) ? a : [])].sort();
+  const right = [...(Array.isArray(b) ? b : [])].sort();
+  return left.length === right.length && left.every((value, index) => value === right[index]);
+}
+
+// Airtable echoes the specification back with defaults filled in, so only the
+// filters this module sets are compared.
+function sameWebhookSpecification(expected, actual) {
+  const want = expected.options.filters;
+  const have = (actual && actual.options && actual.options.filters) || {};
+  return (
+    have.recordChangeScope === want.recordChangeScope &&
+    sameStringSet(have.dataTypes, want.dataTypes) &&
+    sameStringSet(have.watchDataInFieldIds, want.watchDataInFieldIds)
+  );
+}
+
+function changedFieldIds(change) {
+  const ids = new Set();
+  for (const side of [change && change.current, change && change.previous]) {
+    if (side && side.cellValuesByFieldId) {
+      for (const fieldId of Object.keys(side.cellValuesByFieldId)) {
+        ids.add(fieldId);
+      }
+    }
+  }
+  return ids;
+}
+
+// Record ids created or changed in `tableId`, in payload order. Changes that
+// only touch `ignoredFieldIds` (fields the processor writes itself) are
+// skipped, and records destroyed later in the batch are dropped.
+function changedRecordIds(payloads, { tableId, ignoredFieldIds = [] }) {
+  const ignored = new Set(ignoredFieldIds);
+  const recordIds = new Set();
+  let ignoredChanges = 0;
+
+  for (const payload of payloads) {
+    const table = payload && payload.changedTablesById && payload.changedTablesById[tableId];
+    if (!table) {
+      continue;
+    }
+    for (const recordId of Object.keys(table.createdRecordsById || {})) {
+      recordIds.add(recordId);
+    }
+    for (const [recordId, change] of Object.entries(table.changedRecordsById || {})) {
+      const fieldIds = [...changedFieldIds(change)];
+      if (fieldIds.length > 0 && fieldIds.every((fieldId) => ignored.has(fieldId))) {
+        ignoredChanges += 1;
+        continue;
+      }
+      recordIds.add(recordId);
+    }
+    for (const recordId of table.destroyedRecordIds || []) {
+      recordIds.delete(recordId);
+    }
+  }
+
+  return { recordIds: [...recordIds], ignoredChanges };
+}
+
+module.exports = {
+  webhookSpecification,
+  sameWebhookSpecification,
+  changedRecordIds,
+};
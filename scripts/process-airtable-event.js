@@ -1,15 +1,123 @@
 #!/usr/bin/env node
 "use strict";
 
+const crypto = require("node:crypto");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
+const {
+  DAY_MS,
+  parseDate,
+  isEmptyFieldValue,
+  isDateOnlyValue,
+  parseCalendarDate,
+} = require("./lib/dates");
+const { resolveTimeZone } = require("./lib/timezone");
+const { resolveRecurrence } = require("./lib/recurrence");
+const {
+  eventUid,
+  recordIdFromEventUid,
+  recordIdFromSessionUid,
+  buildIcs,
+  buildCalendar,
+} = require("./lib/ics");
+const { parseIcsEvents } = require("./lib/ics-parse");
+const { lintIcs, formatIcsProblems } = require("./lib/ics-lint");
+const { parseSchedule, sessionUid } = require("./lib/sessions");
+const { buildVCard } = require("./lib/vcard");
+const { buildEventJsonLd } = require("./lib/jsonld");
+const { escapeHtml, buildEventPage } = require("./lib/event-page");
+const {
+  DEFAULT_GENERATOR,
+  generatorNames,
+  getGenerator,
+  generatedContentHash,
+} = require("./lib/generators");
+const { parseParticipants } = require("./lib/participants");
+const { nonEmptyString, normalizeText } = require("./lib/fields");
+const { parseTemplate, renderTemplate, templateFieldNames } = require("./lib/template");
+const { sleep, attemptsLabel, fetchWithRetry } = require("./lib/http");
+const { dispatchSecretEnvNames, verifyDispatchSignature } = require("./lib/dispatch-auth");
+const { createJobQueue } = require("./lib/job-queue");
+const { createReceiver, httpError } = require("./lib/receiver");
+const { encodeObjectKey, s3ObjectUrl, signS3Request } = require("./lib/s3");
+const { sendSmtpMail } = require("./lib/smtp");
+const {
+  parseInvitationState,
+  planInvitations,
+  invitationSubject,
+  buildInvitationMessage,
+} = require("./lib/invitations");
+const {
+  webhookSpecification,
+  sameWebhookSpecification,
+  changedRecordIds,
+} = require("./lib/webhooks");
+const {
+  COMPUTED_TYPES,
+  configKeyNames,
+  mappedFieldNames,
+  findTable,
+  findField,
+  validateAutomationEntry,
+  checkAirtableSchema,
+} = require("./lib/config-schema");
 
 const FIELD_EVENT_NAME = "Event Name";
 const FIELD_START = "Start";
 const FIELD_END = "End";
 const FIELD_LOCATION = "Location";
 const FIELD_DESCRIPTION = "Description";
+const FIELD_FULL_NAME = "Name";
+
+// Airtable allows 5 requests per second per base.
+const AIRTABLE_MIN_REQUEST_INTERVAL_MS = 200;
+const AIRTABLE_PAGE_SIZE = 100;
+const FEED_REFRESH_INTERVAL = "PT1H";
+// Keeps RECORD_ID() formulas well below Airtable's URL length limit.
+const RECORD_ID_BATCH_SIZE = 50;
+// Signed dispatches older (or further in the future) than this are rejected.
+const DISPATCH_MAX_AGE_SECONDS = 5 * 60;
+const REPLAY_STATE_ASSET = "dispatch-replay-state.json";
+// Concurrent runs updating the same file on a branch retry this many times.
+const BRANCH_UPDATE_MAX_ATTEMPTS = 5;
+const RECEIVER_DEFAULT_PORT = 8080;
+const RECEIVER_DEFAULT_CONCURRENCY = 2;
+const LOOPBACK_HOSTS = new Set(["127.0.0.1", "::1", "localhost"]);
+const WEBHOOK_STATE_ASSET = "airtable-webhook-state.json";
+const WEBHOOK_PAYLOAD_PAGE_SIZE = 50;
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const STORAGE_TYPES = ["github-release", "git-branch", "s3", "local-dir"];
+const DEFAULT_STORAGE = "github-release";
+const DEFAULT_RELEASE_TAG = "airtable-ics-assets";
+const SMTP_TLS_MODES = ["tls", "starttls", "none"];
+const ICS_RELEASE_NAME = "Airtable ICS Attachments";
+const RECORD_ASSET_PATTERN = new RegExp(
+  `^rec[A-Za-z0-9]{14}\\.(${generatorNames()
+    .map((name) => getGenerator(name).extension)
+    .join("|")})$`
+);
+const GITHUB_PAGE_SIZE = 100;
+const GC_DEFAULT_MAX_DELETE_FRACTION = 0.5;
+// Airtable creates and updates at most 10 records per request.
+const IMPORT_WRITE_BATCH_SIZE = 10;
+const UID_LOOKUP_BATCH_SIZE = 20;
+const IMPORT_STATUS_LABELS = {
+  CONFIRMED: "Confirmed",
+  TENTATIVE: "Tentative",
+  CANCELLED: "Cancelled",
+};
+
+// RFC 5545 dur-value, e.g. -PT15M, -P1D, -P1W, PT0S.
+const ICS_DURATION_PATTERN =
+  /^[+-]?P(?:\d+W|\d+D(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)?|T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)$/;
+
+const EVENT_STATUSES = {
+  confirmed: "CONFIRMED",
+  tentative: "TENTATIVE",
+  cancelled: "CANCELLED",
+  canceled: "CANCELLED",
+};
 
 function requireEnv(name) {
   const value = process.env[name];
@@ -39,9 +147,79 @@ function readJsonFile(filePath) {
   }
 }
 
-function readDispatchPayload() {
-  const eventPath = process.env.GITHUB_EVENT_PATH || process.argv[2];
+function parseCliArgs(argv) {
+  const options = {
+    eventPath: "",
+    mode: "",
+    automationKey: "",
+    outputDir: "",
+    outputPath: "",
+    recordPath: "",
+    checkAirtable: false,
+    dryRun: false,
+    port: "",
+    maxDeleteFraction: GC_DEFAULT_MAX_DELETE_FRACTION,
+    pruneReleases: false,
+    importSource: "",
+  };
+  for (const arg of argv) {
+    if (arg === "--sweep") {
+      options.mode = "sweep";
+    } else if (arg === "--feed") {
+      options.mode = "feed";
+    } else if (arg === "--validate") {
+      options.mode = "validate";
+    } else if (arg === "--check-airtable") {
+      options.checkAirtable = true;
+    } else if (arg === "--webhooks") {
+      options.mode = "webhooks";
+    } else if (arg === "--gc") {
+      options.mode = "gc";
+    } else if (arg.startsWith("--max-delete-fraction=")) {
+      const value = arg.slice("--max-delete-fraction=".length).trim();
+      options.maxDeleteFraction = Number(value);
+      if (!value || !(options.maxDeleteFraction >= 0 && options.maxDeleteFraction <= 1)) {
+        throw new Error(`--max-delete-fraction must be a number from 0 to 1, got "${value}".`);
+      }
+    } else if (arg === "--prune-releases") {
+      options.pruneReleases = true;
+    } else if (arg.startsWith("--import=")) {
+      options.mode = "import";
+      options.importSource = arg.slice("--import=".length).trim();
+      if (!options.importSource) {
+        throw new Error("--import needs a file path or an http(s)/webcal URL.");
+      }
+    } else if (arg === "--serve") {
+      options.mode = "serve";
+    } else if (arg.startsWith("--port=")) {
+      options.port = arg.slice("--port=".length).trim();
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg.startsWith("--record=")) {
+      options.recordPath = arg.slice("--record=".length).trim();
+    } else if (arg.startsWith("--output=")) {
+      options.outputPath = arg.slice("--output=".length).trim();
+    } else if (arg.startsWith("--output-dir=")) {
+      options.outputDir = arg.slice("--output-dir=".length).trim();
+    } else if (arg.startsWith("--automation-key=")) {
+      options.automationKey = arg.slice("--automation-key=".length).trim();
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.eventPath) {
+      options.eventPath = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function readDispatchPayload(cliEventPath, { optional = false } = {}) {
+  const eventPath = process.env.GITHUB_EVENT_PATH || cliEventPath;
   if (!eventPath) {
+    if (optional) {
+      return { eventPath: "", payload: {} };
+    }
     throw new Error(
       "No event payload path found. Set GITHUB_EVENT_PATH or pass a JSON file path as argv[2]."
     );
@@ -69,10 +247,6 @@ function readDispatchPayload() {
   return { eventPath, payload };
 }
 
-function nonEmptyString(value) {
-  return typeof value === "string" && value.trim() ? value.trim() : "";
-}
-
 function pickString(obj, keys) {
   if (!obj || typeof obj !== "object") {
     return "";
@@ -86,6 +260,119 @@ function pickString(obj, keys) {
   return "";
 }
 
+function pickBoolean(obj, keys) {
+  if (!obj || typeof obj !== "object") {
+    return false;
+  }
+  for (const key of keys) {
+    const value = obj[key];
+    if (typeof value === "boolean") {
+      return value;
+    }
+    if (typeof value === "string" && value.trim()) {
+      return ["true", "yes", "1"].includes(value.trim().toLowerCase());
+    }
+  }
+  return false;
+}
+
+function pickStringArray(obj, keys) {
+  if (!obj || typeof obj !== "object") {
+    return [];
+  }
+  for (const key of keys) {
+    const value = obj[key];
+    if (Array.isArray(value)) {
+      return value.map((item) => nonEmptyString(item)).filter(Boolean);
+    }
+    const single = nonEmptyString(value);
+    if (single) {
+      return [single];
+    }
+  }
+  return [];
+}
+
+function parseLinkedFieldOptions(value, label, automationKey, configPath) {
+  const linkedTable = pickString(value, ["linkedTable", "table"]);
+  const displayField = pickString(value, ["displayField"]);
+  const nameField = pickString(value, ["nameField"]);
+  if (!linkedTable || !displayField) {
+    throw new Error(
+      `${label} for automationKey "${automationKey}" in ${configPath} needs linkedTable and displayField.`
+    );
+  }
+  return { linkedTable, displayField, nameField };
+}
+
+// Field mappings may be written as {"field", "linkedTable", "displayField"}
+// objects. They are flattened back to field names for the rest of the config,
+// and collected (with the explicit `linkedFields` map used by templates) so
+// the linked records can be fetched before the record is processed.
+function extractLinkedFields(rawSelected, automationKey, configPath) {
+  const selected = { ...rawSelected };
+  const linkedFields = {};
+
+  for (const [key, value] of Object.entries(rawSelected)) {
+    if (!key.endsWith("Field") || !value || typeof value !== "object" || Array.isArray(value)) {
+      continue;
+    }
+    const field = pickString(value, ["field", "name"]);
+    if (!field) {
+      throw new Error(
+        `${key} for automationKey "${automationKey}" in ${configPath} is missing "field".`
+      );
+    }
+    selected[key] = field;
+    linkedFields[field] = parseLinkedFieldOptions(value, key, automationKey, configPath);
+  }
+
+  const explicit = rawSelected.linkedFields;
+  if (explicit && typeof explicit === "object" && !Array.isArray(explicit)) {
+    for (const [field, value] of Object.entries(explicit)) {
+      linkedFields[field] = parseLinkedFieldOptions(
+        value,
+        `linkedFields["${field}"]`,
+        automationKey,
+        configPath
+      );
+    }
+  }
+
+  return { selected, linkedFields };
+}
+
+// `sessions` is a schedule field name or {"field", "linkedTable", "startField",
+// "endField", "nameField", "locationField", "descriptionField"} for a linked
+// session table.
+function parseSessionsOption(value, automationKey, configPath) {
+  if (typeof value === "string") {
+    return value.trim() ? { field: value.trim(), linkedTable: "" } : null;
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return null;
+  }
+  const field = pickString(value, ["field"]);
+  if (!field) {
+    throw new Error(
+      `sessions for automationKey "${automationKey}" in ${configPath} is missing "field".`
+    );
+  }
+  const linkedTable = pickString(value, ["linkedTable", "table"]);
+  if (!linkedTable) {
+    return { field, linkedTable };
+  }
+  return {
+    field,
+    linkedTable,
+    startField: pickString(value, ["startField"]) || FIELD_START,
+    endField: pickString(value, ["endField"]) || FIELD_END,
+    nameField: pickString(value, ["nameField"]),
+    locationField: pickString(value, ["locationField"]),
+    descriptionField: pickString(value, ["descriptionField"]),
+  };
+}
+
 function parseAutomationConfigFile() {
   const configPath = optionalEnv("AIRTABLE_CONFIG_PATH") || "config/airtable-automations.json";
   const absolutePath = path.resolve(configPath);
@@ -105,13 +392,24 @@ function parseAutomationConfigFile() {
   return { configPath: absolutePath, configMap: parsed };
 }
 
-function resolveAirtableConfig(payload) {
+function resolveAirtableConfig(payload, options) {
   const recordId = nonEmptyString(payload && payload.recordId);
   if (!recordId) {
     throw new Error("Dispatch payload is missing required client_payload.recordId");
   }
 
-  const airtableToken = requireEnv("AIRTABLE_TOKEN");
+  return { recordId, ...resolveAutomationConfig(payload, options) };
+}
+
+// Dry runs may work from fixtures alone, so they do not require a token.
+function resolveAutomationConfig(payload, { requireToken = true } = {}) {
+  const airtableToken = requireToken ? requireEnv("AIRTABLE_TOKEN") : optionalEnv("AIRTABLE_TOKEN");
+  return { airtableToken, ...readAutomationConfig(payload) };
+}
+
+// Everything resolveAutomationConfig returns except the Airtable token, so the
+// config can be checked without credentials.
+function readAutomationConfig(payload) {
   const tableFromPayload = nonEmptyString(payload && payload.tableName);
   const { configPath, configMap } = parseAutomationConfigFile();
   const availableKeys = Object.keys(configMap);
@@ -126,22 +424,92 @@ function resolveAirtableConfig(payload) {
     );
   }
 
-  const selected = configMap[automationKey];
-  if (!selected || typeof selected !== "object" || Array.isArray(selected)) {
+  const rawSelected = configMap[automationKey];
+  if (!rawSelected || typeof rawSelected !== "object" || Array.isArray(rawSelected)) {
     throw new Error(`automationKey "${automationKey}" was not found in ${configPath}.`);
   }
-
-  const baseId = pickString(selected, ["baseId", "airtableBaseId"]);
-  const tableIdOrName = tableFromPayload || pickString(selected, ["tableId", "tableName", "table"]);
-  const attachmentField = pickString(selected, ["icsField", "attachmentField", "airtableIcsField"]);
-  const updatedAtField = pickString(selected, ["updatedAtField", "airtableUpdatedAtField"]);
-  const releaseTag = pickString(selected, ["releaseTag"]) || "airtable-ics-assets";
-  const eventNameField =
-    pickString(selected, ["eventNameField", "summaryField", "titleField"]) || FIELD_EVENT_NAME;
-  const startField = pickString(selected, ["startField"]) || FIELD_START;
-  const endField = pickString(selected, ["endField"]) || FIELD_END;
-  const locationField = pickString(selected, ["locationField"]) || FIELD_LOCATION;
-  const descriptionField = pickString(selected, ["descriptionField"]) || FIELD_DESCRIPTION;
+  const { selected, linkedFields } = extractLinkedFields(rawSelected, automationKey, configPath);
+
+  const baseId = pickString(selected, configKeyNames("baseId"));
+  const tableIdOrName = tableFromPayload || pickString(selected, configKeyNames("tableId"));
+  const attachmentField = pickString(selected, configKeyNames("icsField"));
+  const updatedAtField = pickString(selected, configKeyNames("updatedAtField"));
+  const releaseTag = pickString(selected, configKeyNames("releaseTag")) || DEFAULT_RELEASE_TAG;
+  const storage = pickString(selected, configKeyNames("storage")) || DEFAULT_STORAGE;
+  const storageBranch = pickString(selected, configKeyNames("storageBranch")) || "gh-pages";
+  const storagePath = pickString(selected, configKeyNames("storagePath"));
+  const storageBaseUrl = pickString(selected, configKeyNames("storageBaseUrl"));
+  const s3Bucket = pickString(selected, configKeyNames("s3Bucket"));
+  const s3Region = pickString(selected, configKeyNames("s3Region")) || "us-east-1";
+  const s3Endpoint =
+    pickString(selected, configKeyNames("s3Endpoint")) || `https://s3.${s3Region}.amazonaws.com`;
+  const eventNameField = pickString(selected, configKeyNames("eventNameField")) || FIELD_EVENT_NAME;
+  const startField = pickString(selected, configKeyNames("startField")) || FIELD_START;
+  const endField = pickString(selected, configKeyNames("endField")) || FIELD_END;
+  const locationField = pickString(selected, configKeyNames("locationField")) || FIELD_LOCATION;
+  const descriptionField =
+    pickString(selected, configKeyNames("descriptionField")) || FIELD_DESCRIPTION;
+  const allDay = pickBoolean(selected, configKeyNames("allDay"));
+  const allDayField = pickString(selected, configKeyNames("allDayField"));
+  const configuredTimeZone = pickString(selected, configKeyNames("timeZone"));
+  const timeZone = configuredTimeZone ? resolveTimeZone(configuredTimeZone) : "";
+  const timeZoneField = pickString(selected, configKeyNames("timeZoneField"));
+  const recurrenceField = pickString(selected, configKeyNames("recurrenceField"));
+  const recurrenceUntilField = pickString(selected, configKeyNames("recurrenceUntilField"));
+  const recurrenceCountField = pickString(selected, configKeyNames("recurrenceCountField"));
+  const exceptionDatesField = pickString(selected, configKeyNames("exceptionDatesField"));
+  const viewName = pickString(selected, configKeyNames("viewName"));
+  const filterByFormula = pickString(selected, configKeyNames("filterByFormula"));
+  const feedViewName = pickString(selected, configKeyNames("feedViewName"));
+  const feedFilterByFormula = pickString(selected, configKeyNames("feedFilterByFormula"));
+  const feedFilename =
+    pickString(selected, configKeyNames("feedFilename")) || `${automationKey}.ics`;
+  const feedName = pickString(selected, configKeyNames("feedName"));
+  const feedOutputDir = pickString(selected, configKeyNames("feedOutputDir"));
+  const hashField = pickString(selected, configKeyNames("hashField"));
+  const statusField = pickString(selected, configKeyNames("statusField"));
+  const syncStatusField = pickString(selected, configKeyNames("syncStatusField"));
+  const errorField = pickString(selected, configKeyNames("errorField"));
+  const sequenceField = pickString(selected, configKeyNames("sequenceField"));
+  const uidField = pickString(selected, configKeyNames("uidField"));
+  const organizerField = pickString(selected, configKeyNames("organizerField"));
+  const organizer = pickString(selected, configKeyNames("organizer"));
+  const attendeesField = pickString(selected, configKeyNames("attendeesField"));
+  const optionalAttendeesField = pickString(selected, configKeyNames("optionalAttendeesField"));
+  const alarms = pickStringArray(selected, configKeyNames("alarms")).map((alarm) =>
+    alarm.toUpperCase()
+  );
+  const templateLocale = pickString(selected, configKeyNames("templateLocale"));
+  const requireSignedDispatch = pickBoolean(selected, configKeyNames("requireSignedDispatch"));
+  const sessions = parseSessionsOption(selected.sessions, automationKey, configPath);
+  const generator = pickString(selected, configKeyNames("generator")) || DEFAULT_GENERATOR;
+  const fullNameField = pickString(selected, configKeyNames("fullNameField")) || FIELD_FULL_NAME;
+  const emailField = pickString(selected, configKeyNames("emailField"));
+  const phoneField = pickString(selected, configKeyNames("phoneField"));
+  const organizationField = pickString(selected, configKeyNames("organizationField"));
+  const jobTitleField = pickString(selected, configKeyNames("jobTitleField"));
+  const urlField = pickString(selected, configKeyNames("urlField"));
+  const noteField = pickString(selected, configKeyNames("noteField"));
+  const invitations = pickBoolean(selected, configKeyNames("invitations"));
+  const invitationStateField = pickString(selected, configKeyNames("invitationStateField"));
+  const invitationFrom = pickString(selected, configKeyNames("invitationFrom"));
+  const templates = {};
+  for (const key of [
+    "summaryTemplate",
+    "descriptionTemplate",
+    "locationTemplate",
+    "pageTemplate",
+    "filenamePattern",
+  ]) {
+    const template = pickString(selected, configKeyNames(key));
+    try {
+      templates[key] = template ? parseTemplate(template) : null;
+    } catch (error) {
+      throw new Error(
+        `Invalid ${key} for automationKey "${automationKey}" in ${configPath}: ${error.message}`
+      );
+    }
+  }
 
   if (!baseId) {
     throw new Error(`Missing baseId for automationKey "${automationKey}" in ${configPath}.`);
@@ -159,106 +527,268 @@ function resolveAirtableConfig(payload) {
       `Missing updatedAtField for automationKey "${automationKey}" in ${configPath}.`
     );
   }
+  for (const alarm of alarms) {
+    if (!ICS_DURATION_PATTERN.test(alarm)) {
+      throw new Error(
+        `Invalid alarm "${alarm}" for automationKey "${automationKey}" in ${configPath}. Use an ICS duration such as "-PT1H" or "-P1D".`
+      );
+    }
+  }
+  if (!generatorNames().includes(generator)) {
+    throw new Error(
+      `Invalid generator "${generator}" for automationKey "${automationKey}" in ${configPath}. Use one of: ${generatorNames().join(
+        ", "
+      )}.`
+    );
+  }
+  if (!STORAGE_TYPES.includes(storage)) {
+    throw new Error(
+      `Invalid storage "${storage}" for automationKey "${automationKey}" in ${configPath}. Use one of: ${STORAGE_TYPES.join(
+        ", "
+      )}.`
+    );
+  }
+  if (storage === "s3" && !s3Bucket) {
+    throw new Error(
+      `storage "s3" needs s3Bucket for automationKey "${automationKey}" in ${configPath}.`
+    );
+  }
+  if (storage === "local-dir" && !(storagePath && storageBaseUrl)) {
+    throw new Error(
+      `storage "local-dir" needs storagePath and storageBaseUrl for automationKey "${automationKey}" in ${configPath}.`
+    );
+  }
+  if (organizer) {
+    parseParticipants(organizer, `organizer (automationKey "${automationKey}")`);
+  }
+  if (invitationFrom) {
+    parseParticipants(invitationFrom, `invitationFrom (automationKey "${automationKey}")`);
+  }
+  if (invitations && !invitationStateField) {
+    throw new Error(
+      `invitations need invitationStateField for automationKey "${automationKey}" in ${configPath}.`
+    );
+  }
+  if (invitations && !(attendeesField || optionalAttendeesField)) {
+    throw new Error(
+      `invitations need attendeesField or optionalAttendeesField for automationKey "${automationKey}" in ${configPath}.`
+    );
+  }
+  if (invitations && getGenerator(generator).input !== "events") {
+    throw new Error(
+      `invitations need an event generator, but automationKey "${automationKey}" in ${configPath} uses "${generator}".`
+    );
+  }
+  if (configuredTimeZone && !timeZone) {
+    throw new Error(
+      `Invalid timeZone "${configuredTimeZone}" for automationKey "${automationKey}" in ${configPath}.`
+    );
+  }
 
   return {
-    recordId,
     automationKey,
     configPath,
-    airtableToken,
     baseId,
     tableIdOrName,
     attachmentField,
     updatedAtField,
     releaseTag,
+    storage,
+    storageBranch,
+    storagePath,
+    storageBaseUrl,
+    s3Bucket,
+    s3Region,
+    s3Endpoint,
     eventNameField,
     startField,
     endField,
     locationField,
     descriptionField,
+    allDay,
+    allDayField,
+    timeZone,
+    timeZoneField,
+    recurrenceField,
+    recurrenceUntilField,
+    recurrenceCountField,
+    exceptionDatesField,
+    viewName,
+    filterByFormula,
+    feedViewName,
+    feedFilterByFormula,
+    feedFilename,
+    feedName,
+    feedOutputDir,
+    hashField,
+    statusField,
+    syncStatusField,
+    errorField,
+    sequenceField,
+    uidField,
+    organizerField,
+    organizer,
+    attendeesField,
+    optionalAttendeesField,
+    alarms,
+    summaryTemplate: templates.summaryTemplate,
+    descriptionTemplate: templates.descriptionTemplate,
+    locationTemplate: templates.locationTemplate,
+    templateLocale,
+    linkedFields,
+    requireSignedDispatch,
+    sessions,
+    generator,
+    filenamePattern: templates.filenamePattern,
+    pageTemplate: templates.pageTemplate,
+    fullNameField,
+    emailField,
+    phoneField,
+    organizationField,
+    jobTitleField,
+    urlField,
+    noteField,
+    invitations,
+    invitationStateField,
+    invitationFrom,
   };
 }
 
-function toUtcIcsDate(date) {
-  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+function isTruthyFieldValue(value) {
+  if (typeof value === "string") {
+    return ["true", "yes", "1", "checked"].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
 }
 
-function parseDate(value, fieldName) {
-  if (value === undefined || value === null || value === "") {
-    throw new Error(`Missing required Airtable field: ${fieldName}`);
+function resolveEventTimeZone(fields, { timeZone, timeZoneField }) {
+  if (!timeZoneField) {
+    return timeZone;
   }
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    throw new Error(`Invalid date in Airtable field "${fieldName}": ${value}`);
+  const rawValue = fields[timeZoneField];
+  const value = nonEmptyString(Array.isArray(rawValue) ? rawValue[0] : rawValue);
+  if (!value) {
+    return timeZone;
   }
-  return date;
+  const resolved = resolveTimeZone(value);
+  if (!resolved) {
+    throw new Error(`Invalid time zone in Airtable field "${timeZoneField}": ${value}`);
+  }
+  return resolved;
 }
 
-function normalizeText(value) {
-  if (value === undefined || value === null) {
+function resolveEventStatus(fields, statusField) {
+  const rawValue = fields[statusField];
+  const value = normalizeText(Array.isArray(rawValue) ? rawValue[0] : rawValue).trim();
+  if (!value) {
     return "";
   }
-  if (typeof value === "string") {
-    return value;
+  const status = EVENT_STATUSES[value.toLowerCase()];
+  if (!status) {
+    throw new Error(
+      `Invalid status in Airtable field "${statusField}": ${value} (expected Confirmed, Tentative or Cancelled)`
+    );
+  }
+  return status;
+}
+
+function parseSequence(value, fieldName) {
+  if (isEmptyFieldValue(value)) {
+    return 0;
   }
-  if (typeof value === "number" || typeof value === "boolean") {
-    return String(value);
+  const sequence = Number(value);
+  if (!Number.isInteger(sequence) || sequence < 0) {
+    throw new Error(`Invalid sequence in Airtable field "${fieldName}": ${value}`);
   }
-  if (Array.isArray(value)) {
-    return value.map((item) => normalizeText(item)).join(", ");
+  return sequence;
+}
+
+function resolveOrganizer(fields, { organizerField, organizer }) {
+  const fromRecord = organizerField
+    ? parseParticipants(fields[organizerField], organizerField)
+    : [];
+  if (fromRecord.length > 0) {
+    return fromRecord[0];
   }
-  return JSON.stringify(value);
+  return organizer ? parseParticipants(organizer, "organizer")[0] : null;
 }
 
-function escapeIcsText(value) {
-  return value
-    .replace(/\\/g, "\\\\")
-    .replace(/\r\n/g, "\\n")
-    .replace(/\n/g, "\\n")
-    .replace(/,/g, "\\,")
-    .replace(/;/g, "\\;");
+function resolveAttendees(fields, { attendeesField, optionalAttendeesField }) {
+  const required = attendeesField
+    ? parseParticipants(fields[attendeesField], attendeesField).map((attendee) => ({
+        ...attendee,
+        role: "REQ-PARTICIPANT",
+      }))
+    : [];
+  const requiredEmails = new Set(required.map((attendee) => attendee.email.toLowerCase()));
+  const optional = optionalAttendeesField
+    ? parseParticipants(fields[optionalAttendeesField], optionalAttendeesField)
+        .filter((attendee) => !requiredEmails.has(attendee.email.toLowerCase()))
+        .map((attendee) => ({ ...attendee, role: "OPT-PARTICIPANT" }))
+    : [];
+  return [...required, ...optional];
 }
 
-function foldIcsLine(line, maxLen = 75) {
-  if (line.length <= maxLen) {
-    return line;
+function resolveEventTiming(fields, { startField, endField, allDay, allDayField, timeZone }) {
+  const startValue = fields[startField];
+  const endValue = fields[endField];
+
+  const forcedAllDay = allDay || (allDayField ? isTruthyFieldValue(fields[allDayField]) : false);
+  const detectedAllDay =
+    isDateOnlyValue(startValue) && (isEmptyFieldValue(endValue) || isDateOnlyValue(endValue));
+
+  if (forcedAllDay || detectedAllDay) {
+    const startDate = parseCalendarDate(startValue, startField, timeZone);
+    // Airtable end dates are inclusive; ICS DTEND;VALUE=DATE is exclusive.
+    const lastDate = isEmptyFieldValue(endValue)
+      ? startDate
+      : parseCalendarDate(endValue, endField, timeZone);
+    if (lastDate < startDate) {
+      throw new Error(`Invalid event range: "${endField}" must not be before "${startField}"`);
+    }
+    return {
+      allDay: true,
+      startDate,
+      endDate: new Date(lastDate.getTime() + DAY_MS),
+    };
   }
-  let remaining = line;
-  const chunks = [];
-  while (remaining.length > maxLen) {
-    chunks.push(remaining.slice(0, maxLen));
-    remaining = remaining.slice(maxLen);
+
+  const startDate = parseDate(startValue, startField);
+  const endDate = parseDate(endValue, endField);
+  if (endDate <= startDate) {
+    throw new Error(`Invalid event range: "${endField}" must be after "${startField}"`);
   }
-  chunks.push(remaining);
-  return chunks.join("\r\n ");
+  return { allDay: false, startDate, endDate };
 }
 
-function buildIcs({ recordId, eventName, startDate, endDate, location, description }) {
-  const lines = [
-    "BEGIN:VCALENDAR",
-    "VERSION:2.0",
-    "PRODID:-//airtable_wf//Airtable Dispatch//EN",
-    "CALSCALE:GREGORIAN",
-    "METHOD:PUBLISH",
-    "BEGIN:VEVENT",
-    `UID:airtable-${recordId}@airtable-wf`,
-    `DTSTAMP:${toUtcIcsDate(new Date())}`,
-    `DTSTART:${toUtcIcsDate(startDate)}`,
-    `DTEND:${toUtcIcsDate(endDate)}`,
-    foldIcsLine(`SUMMARY:${escapeIcsText(eventName)}`),
-  ];
+let nextAirtableRequestAt = 0;
 
-  if (location) {
-    lines.push(foldIcsLine(`LOCATION:${escapeIcsText(location)}`));
-  }
-  if (description) {
-    lines.push(foldIcsLine(`DESCRIPTION:${escapeIcsText(description)}`));
+async function waitForAirtableRateLimit() {
+  const now = Date.now();
+  const waitMs = nextAirtableRequestAt - now;
+  nextAirtableRequestAt = Math.max(now, nextAirtableRequestAt) + AIRTABLE_MIN_REQUEST_INTERVAL_MS;
+  if (waitMs > 0) {
+    await sleep(waitMs);
   }
+}
+
+// Set by --dry-run: Airtable and GitHub writes are printed instead of sent.
+let dryRun = false;
 
-  lines.push("END:VEVENT", "END:VCALENDAR", "");
-  return lines.join("\r\n");
+function printDryRunRequest(method, url, body) {
+  console.log(`[dry-run] ${method} ${url}`);
+  if (body !== undefined) {
+    console.log(JSON.stringify(body, null, 2));
+  }
 }
 
-async function fetchJson(url, { method = "GET", token, body, headers = {} } = {}) {
+// All fetchJson callers talk to Airtable, so requests (including retries) are
+// spaced to stay under its per-base rate limit.
+async function fetchJson(url, { method = "GET", token, body, headers = {}, idempotent } = {}) {
+  if (!token) {
+    throw new Error(`${method} ${url} needs AIRTABLE_TOKEN.`);
+  }
+
   const requestHeaders = {
     Authorization: `Bearer ${token}`,
     Accept: "application/json",
@@ -269,14 +799,16 @@ async function fetchJson(url, { method = "GET", token, body, headers = {} } = {}
     requestHeaders["Content-Type"] = "application/json";
   }
 
-  const response = await fetch(url, {
-    method,
-    headers: requestHeaders,
-    body:
-      body === undefined ? undefined : body instanceof Buffer ? body : JSON.stringify(body),
-  });
+  const { response, text, attempts } = await fetchWithRetry(
+    url,
+    {
+      method,
+      headers: requestHeaders,
+      body: body === undefined ? undefined : body instanceof Buffer ? body : JSON.stringify(body),
+    },
+    { idempotent, beforeAttempt: waitForAirtableRateLimit }
+  );
 
-  const text = await response.text();
   let parsed = null;
   if (text) {
     try {
@@ -288,7 +820,10 @@ async function fetchJson(url, { method = "GET", token, body, headers = {} } = {}
 
   if (!response.ok) {
     const detail = parsed ? (typeof parsed === "string" ? parsed : JSON.stringify(parsed)) : "";
-    throw new Error(`${method} ${url} failed (${response.status})${detail ? `: ${detail}` : ""}`);
+    const after = attempts > 1 ? ` after ${attemptsLabel(attempts)}` : "";
+    throw new Error(
+      `${method} ${url} failed (${response.status})${after}${detail ? `: ${detail}` : ""}`
+    );
   }
 
   return parsed;
@@ -306,14 +841,13 @@ async function fetchGithub(url, { method = "GET", token, body, headers = {} } =
     requestHeaders["Content-Type"] = "application/json";
   }
 
-  const response = await fetch(url, {
+  const { response, text, attempts } = await fetchWithRetry(url, {
     method,
     headers: requestHeaders,
     body:
       body === undefined ? undefined : body instanceof Buffer ? body : JSON.stringify(body),
   });
 
-  const text = await response.text();
   let parsed = null;
   if (text) {
     try {
@@ -323,13 +857,87 @@ async function fetchGithub(url, { method = "GET", token, body, headers = {} } =
     }
   }
 
-  return { ok: response.ok, status: response.status, data: parsed };
+  return { ok: response.ok, status: response.status, data: parsed, attempts };
 }
 
-function airtableRecordUrl(baseId, tableIdOrName, recordId) {
-  return `https://api.airtable.com/v0/${encodeURIComponent(baseId)}/${encodeURIComponent(
+function githubFailure(action, result) {
+  const after = result.attempts > 1 ? ` after ${attemptsLabel(result.attempts)}` : "";
+  return new Error(`${action} (${result.status})${after}: ${JSON.stringify(result.data)}`);
+}
+
+// Overridable so the pipeline can run against a local Airtable stand-in.
+function airtableApiUrl() {
+  return (optionalEnv("AIRTABLE_API_URL") || "https://api.airtable.com").replace(/\/+$/, "");
+}
+
+function airtableContentUrl() {
+  return (optionalEnv("AIRTABLE_CONTENT_URL") || "https://content.airtable.com").replace(
+    /\/+$/,
+    ""
+  );
+}
+
+function airtableTableUrl(baseId, tableIdOrName) {
+  return `${airtableApiUrl()}/v0/${encodeURIComponent(baseId)}/${encodeURIComponent(
     tableIdOrName
-  )}/${encodeURIComponent(recordId)}`;
+  )}`;
+}
+
+function airtableRecordUrl(baseId, tableIdOrName, recordId) {
+  return `${airtableTableUrl(baseId, tableIdOrName)}/${encodeURIComponent(recordId)}`;
+}
+
+async function listAirtableRecords({
+  airtableToken,
+  baseId,
+  tableIdOrName,
+  viewName,
+  filterByFormula,
+  fields = [],
+}) {
+  const records = [];
+  let offset = "";
+
+  do {
+    const params = new URLSearchParams({ pageSize: String(AIRTABLE_PAGE_SIZE) });
+    if (viewName) {
+      params.set("view", viewName);
+    }
+    if (filterByFormula) {
+      params.set("filterByFormula", filterByFormula);
+    }
+    for (const field of fields) {
+      params.append("fields[]", field);
+    }
+    if (offset) {
+      params.set("offset", offset);
+    }
+
+    const page = await fetchJson(`${airtableTableUrl(baseId, tableIdOrName)}?${params}`, {
+      token: airtableToken,
+    });
+    if (page && Array.isArray(page.records)) {
+      records.push(...page.records);
+    }
+    offset = page && typeof page.offset === "string" ? page.offset : "";
+  } while (offset);
+
+  return records;
+}
+
+const baseTablesCache = new Map();
+
+// Table and field definitions from the metadata API (needs the
+// schema.bases:read scope), cached per base for the rest of the run.
+async function fetchBaseTables({ airtableToken, baseId }) {
+  if (!baseTablesCache.has(baseId)) {
+    const response = await fetchJson(
+      `${airtableApiUrl()}/v0/meta/bases/${encodeURIComponent(baseId)}/tables`,
+      { token: airtableToken }
+    );
+    baseTablesCache.set(baseId, response && Array.isArray(response.tables) ? response.tables : []);
+  }
+  return baseTablesCache.get(baseId);
 }
 
 async function fetchAirtableRecord({ airtableToken, baseId, tableIdOrName, recordId }) {
@@ -339,10 +947,17 @@ async function fetchAirtableRecord({ airtableToken, baseId, tableIdOrName, recor
 }
 
 async function updateAirtableRecord({ airtableToken, baseId, tableIdOrName, recordId, fields }) {
-  return fetchJson(airtableRecordUrl(baseId, tableIdOrName, recordId), {
+  const url = airtableRecordUrl(baseId, tableIdOrName, recordId);
+  if (dryRun) {
+    printDryRunRequest("PATCH", url, { fields });
+    return { id: recordId, fields };
+  }
+  return fetchJson(url, {
     method: "PATCH",
     token: airtableToken,
     body: { fields },
+    // Setting the same field values twice is harmless, so PATCHes are retried.
+    idempotent: true,
   });
 }
 
@@ -351,12 +966,72 @@ function isInvalidValueForColumnError(error) {
   return message.includes("INVALID_VALUE_FOR_COLUMN");
 }
 
+function isNotFoundError(error) {
+  const message = error && error.message ? String(error.message) : "";
+  return message.includes("failed (404)");
+}
+
+// Type of `fieldName` from the metadata API, or "" when this token cannot read
+// the base schema (no schema.bases:read scope). Failures are remembered so a
+// sweep only asks once.
+const schemaUnavailableBases = new Set();
+
+async function fetchFieldType({ airtableToken, baseId, tableIdOrName, fieldName }) {
+  if (!airtableToken || schemaUnavailableBases.has(baseId)) {
+    return "";
+  }
+  let tables;
+  try {
+    tables = await fetchBaseTables({ airtableToken, baseId });
+  } catch (error) {
+    schemaUnavailableBases.add(baseId);
+    console.warn(
+      `Could not read the base schema, guessing field formats. Reason: ${error.message}`
+    );
+    return "";
+  }
+
+  const table = findTable(tables, tableIdOrName);
+  if (!table) {
+    return "";
+  }
+  const field = findField(table, fieldName);
+  if (!field) {
+    throw new Error(`Field "${fieldName}" does not exist in table "${table.name}".`);
+  }
+  return field.type;
+}
+
+// Value written to updatedAtField for its Airtable field type: ISO date-time,
+// calendar date (UTC), or Unix epoch seconds for number fields.
+function formatTimestampForField(fieldName, fieldType, date) {
+  if (["dateTime", "singleLineText", "multilineText", "richText"].includes(fieldType)) {
+    return date.toISOString();
+  }
+  if (fieldType === "date") {
+    return date.toISOString().slice(0, 10);
+  }
+  if (fieldType === "number") {
+    return Math.floor(date.getTime() / 1000);
+  }
+  if (COMPUTED_TYPES.has(fieldType)) {
+    throw new Error(
+      `Field "${fieldName}" is a ${fieldType} field, which Airtable computes. Use an editable date/date-time, text or number field for updatedAtField.`
+    );
+  }
+  throw new Error(
+    `Field "${fieldName}" is a ${fieldType} field. Use a date/date-time, text or number field for updatedAtField.`
+  );
+}
+
+// Fallback for when the field type is unknown: try a date-time, then a date.
 async function updateAirtableTimestampField({
   airtableToken,
   baseId,
   tableIdOrName,
   recordId,
   updatedAtField,
+  extraFields = {},
 }) {
   const now = new Date();
   const candidateValues = [now.toISOString(), now.toISOString().slice(0, 10)];
@@ -370,6 +1045,7 @@ async function updateAirtableTimestampField({
         tableIdOrName,
         recordId,
         fields: {
+          ...extraFields,
           [updatedAtField]: candidateValue,
         },
       });
@@ -400,19 +1076,29 @@ async function uploadAttachmentToAirtable({
   recordId,
   attachmentField,
   filename,
-  icsBuffer,
+  contentType,
+  fileBuffer,
 }) {
-  const uploadUrl = `https://content.airtable.com/v0/${encodeURIComponent(
+  const uploadUrl = `${airtableContentUrl()}/v0/${encodeURIComponent(
     baseId
   )}/${encodeURIComponent(recordId)}/${encodeURIComponent(attachmentField)}/uploadAttachment`;
 
+  if (dryRun) {
+    printDryRunRequest("POST", uploadUrl, {
+      contentType,
+      filename,
+      file: `<${fileBuffer.length} bytes, base64>`,
+    });
+    return { id: recordId, fields: { [attachmentField]: [{ id: "attDryRun", filename }] } };
+  }
+
   return fetchJson(uploadUrl, {
     method: "POST",
     token: airtableToken,
     body: {
-      contentType: "text/calendar",
+      contentType,
       filename,
-      file: icsBuffer.toString("base64"),
+      file: fileBuffer.toString("base64"),
     },
   });
 }
@@ -444,12 +1130,14 @@ function extractLatestAttachmentFromUploadResponse(response, attachmentField, fa
   const candidates = [];
 
   if (response && typeof response === "object") {
-    if (
-      response.fields &&
-      typeof response.fields === "object" &&
-      Array.isArray(response.fields[attachmentField])
-    ) {
-      candidates.push(...response.fields[attachmentField]);
+    if (response.fields && typeof response.fields === "object") {
+      // uploadAttachment responds with the record, its fields keyed by field id.
+      const fieldValues = Array.isArray(response.fields[attachmentField])
+        ? [response.fields[attachmentField]]
+        : Object.values(response.fields).filter(Array.isArray);
+      for (const value of fieldValues) {
+        candidates.push(...value);
+      }
     }
 
     if (Array.isArray(response[attachmentField])) {
@@ -468,7 +1156,10 @@ function extractLatestAttachmentFromUploadResponse(response, attachmentField, fa
       candidates.push(...response);
     }
 
-    candidates.push(response);
+    // A record response is not an attachment; its id is the record id.
+    if (!response.fields) {
+      candidates.push(response);
+    }
   }
 
   for (let i = candidates.length - 1; i >= 0; i -= 1) {
@@ -481,6 +1172,23 @@ function extractLatestAttachmentFromUploadResponse(response, attachmentField, fa
   return null;
 }
 
+function githubReleaseContext() {
+  const token = process.env.GITHUB_TOKEN;
+  const repo = process.env.GITHUB_REPOSITORY;
+  if (!token || !repo) {
+    return null;
+  }
+  return { token, repo, apiUrl: process.env.GITHUB_API_URL || "https://api.github.com" };
+}
+
+function requireGithubContext(storage) {
+  const github = githubReleaseContext();
+  if (!github) {
+    throw new Error(`storage "${storage}" requires GITHUB_TOKEN and GITHUB_REPOSITORY.`);
+  }
+  return github;
+}
+
 async function getOrCreateGithubRelease({ token, repo, apiUrl, tag }) {
   const byTag = await fetchGithub(
     `${apiUrl}/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`,
@@ -491,9 +1199,7 @@ async function getOrCreateGithubRelease({ token, repo, apiUrl, tag }) {
     return byTag.data;
   }
   if (byTag.status !== 404) {
-    throw new Error(
-      `Failed to fetch release by tag (${byTag.status}): ${JSON.stringify(byTag.data)}`
-    );
+    throw githubFailure("Failed to fetch release by tag", byTag);
   }
 
   const created = await fetchGithub(`${apiUrl}/repos/${repo}/releases`, {
@@ -501,7 +1207,7 @@ async function getOrCreateGithubRelease({ token, repo, apiUrl, tag }) {
     token,
     body: {
       tag_name: tag,
-      name: "Airtable ICS Attachments",
+      name: ICS_RELEASE_NAME,
       body: "Auto-generated release for Airtable ICS fallback uploads.",
       draft: false,
       prerelease: false,
@@ -509,13 +1215,56 @@ async function getOrCreateGithubRelease({ token, repo, apiUrl, tag }) {
   });
 
   if (!created.ok) {
-    throw new Error(`Failed to create release (${created.status}): ${JSON.stringify(created.data)}`);
+    throw githubFailure("Failed to create release", created);
   }
 
   return created.data;
 }
 
-async function uploadIcsToGithubRelease({ token, repo, apiUrl, tag, filename, icsBuffer }) {
+// Contents of a release asset, or null when the release or asset is missing.
+async function downloadGithubReleaseAsset({ token, repo, apiUrl, tag, filename }) {
+  const byTag = await fetchGithub(
+    `${apiUrl}/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`,
+    { token }
+  );
+  if (byTag.status === 404) {
+    return null;
+  }
+  if (!byTag.ok) {
+    throw githubFailure("Failed to fetch release by tag", byTag);
+  }
+
+  const asset = Array.isArray(byTag.data.assets)
+    ? byTag.data.assets.find((item) => item && item.name === filename)
+    : null;
+  if (!asset) {
+    return null;
+  }
+
+  const downloaded = await fetchGithub(`${apiUrl}/repos/${repo}/releases/assets/${asset.id}`, {
+    token,
+    headers: { Accept: "application/octet-stream" },
+  });
+  if (!downloaded.ok) {
+    throw githubFailure("Failed to download release asset", downloaded);
+  }
+  return typeof downloaded.data === "string" ? downloaded.data : JSON.stringify(downloaded.data);
+}
+
+async function uploadGithubReleaseAsset({
+  token,
+  repo,
+  apiUrl,
+  tag,
+  filename,
+  contentType = "text/calendar",
+  body,
+}) {
+  if (dryRun) {
+    printDryRunRequest("POST", `${apiUrl}/repos/${repo}/releases (tag ${tag}) asset ${filename}`);
+    return `https://github.com/${repo}/releases/download/${encodeURIComponent(tag)}/${filename}`;
+  }
+
   const release = await getOrCreateGithubRelease({ token, repo, apiUrl, tag });
 
   const existingAsset = Array.isArray(release.assets)
@@ -528,11 +1277,7 @@ async function uploadIcsToGithubRelease({ token, repo, apiUrl, tag, filename, ic
       { method: "DELETE", token }
     );
     if (!deleted.ok && deleted.status !== 404) {
-      throw new Error(
-        `Failed to delete existing release asset (${deleted.status}): ${JSON.stringify(
-          deleted.data
-        )}`
-      );
+      throw githubFailure("Failed to delete existing release asset", deleted);
     }
   }
 
@@ -546,13 +1291,13 @@ async function uploadIcsToGithubRelease({ token, repo, apiUrl, tag, filename, ic
     method: "POST",
     token,
     headers: {
-      "Content-Type": "text/calendar",
+      "Content-Type": contentType,
     },
-    body: icsBuffer,
+    body,
   });
 
   if (!uploaded.ok) {
-    throw new Error(`Failed to upload release asset (${uploaded.status}): ${JSON.stringify(uploaded.data)}`);
+    throw githubFailure("Failed to upload release asset", uploaded);
   }
 
   const downloadUrl =
@@ -567,35 +1312,256 @@ async function uploadIcsToGithubRelease({ token, repo, apiUrl, tag, filename, ic
   return downloadUrl;
 }
 
-async function attachIcsWithFallback({
-  airtableToken,
-  baseId,
-  tableIdOrName,
-  recordId,
-  attachmentField,
-  releaseTag,
-  filename,
-  icsBuffer,
-}) {
-  try {
-    const uploadResponse = await uploadAttachmentToAirtable({
-      airtableToken,
-      baseId,
-      recordId,
-      attachmentField,
-      filename,
-      icsBuffer,
-    });
+// Git's object id for a file, which the contents API reports as `sha`.
+function gitBlobSha(body) {
+  return crypto.createHash("sha1").update(`blob ${body.length}\0`).update(body).digest("hex");
+}
 
-    let latestAttachment = extractLatestAttachmentFromUploadResponse(
-      uploadResponse,
-      attachmentField,
-      filename
-    );
+// Commits `body` to `filePath` on `branch` through the contents API. Files
+// that already have this content are left alone, so unchanged uploads do not
+// add commits. Returns the file's raw URL, built from the repo, branch and
+// path: the contents API's download_url carries a temporary token on private
+// repos and stops working.
+async function commitFileToBranch({ token, repo, apiUrl, branch, filePath, body }) {
+  const url = `${apiUrl}/repos/${repo}/contents/${encodeObjectKey(filePath)}`;
+  const rawUrl = `https://raw.githubusercontent.com/${repo}/${branch}/${encodeObjectKey(filePath)}`;
+  if (dryRun) {
+    printDryRunRequest("PUT", `${url} (branch ${branch})`);
+    return rawUrl;
+  }
 
-    if (!latestAttachment) {
-      const refreshed = await fetchAirtableRecord({
-        airtableToken,
+  for (let attempt = 1; ; attempt += 1) {
+    const existing = await fetchGithub(`${url}?ref=${encodeURIComponent(branch)}`, { token });
+    if (!existing.ok && existing.status !== 404) {
+      throw githubFailure(`Failed to read ${filePath} on branch ${branch}`, existing);
+    }
+    const existingFile = existing.ok && existing.data && !Array.isArray(existing.data);
+    if (existingFile && existing.data.sha === gitBlobSha(body)) {
+      return rawUrl;
+    }
+
+    const committed = await fetchGithub(url, {
+      method: "PUT",
+      token,
+      body: {
+        message: `Update ${filePath}`,
+        content: body.toString("base64"),
+        branch,
+        ...(existingFile ? { sha: existing.data.sha } : {}),
+      },
+    });
+    if (committed.ok) {
+      return rawUrl;
+    }
+    // Another run committed to the branch in between; re-read and try again.
+    if (committed.status === 409 && attempt < BRANCH_UPDATE_MAX_ATTEMPTS) {
+      continue;
+    }
+    if (committed.status === 404 || committed.status === 422) {
+      throw githubFailure(
+        `Failed to commit ${filePath} (does branch "${branch}" exist in ${repo}?)`,
+        committed
+      );
+    }
+    throw githubFailure(`Failed to commit ${filePath} to branch ${branch}`, committed);
+  }
+}
+
+// Read-modify-write of a JSON file on `branch`. The write names the sha that
+// was read, so the contents API rejects it when another run changed the file
+// in between; `change` then runs again on the new content instead of
+// overwriting it. `change` may throw to abort without writing.
+async function updateJsonFileOnBranch({ token, repo, apiUrl, branch, filePath, change }) {
+  const url = `${apiUrl}/repos/${repo}/contents/${encodeObjectKey(filePath)}`;
+  for (let attempt = 1; ; attempt += 1) {
+    const existing = await fetchGithub(`${url}?ref=${encodeURIComponent(branch)}`, { token });
+    if (!existing.ok && existing.status !== 404) {
+      throw githubFailure(`Failed to read ${filePath} on branch ${branch}`, existing);
+    }
+    const existingFile = existing.ok && existing.data && !Array.isArray(existing.data);
+    const current = existingFile
+      ? JSON.parse(Buffer.from(existing.data.content, "base64").toString("utf8"))
+      : {};
+    const next = change(current);
+
+    const committed = await fetchGithub(url, {
+      method: "PUT",
+      token,
+      body: {
+        message: `Update ${filePath}`,
+        content: Buffer.from(`${JSON.stringify(next, null, 2)}\n`, "utf8").toString("base64"),
+        branch,
+        ...(existingFile ? { sha: existing.data.sha } : {}),
+      },
+    });
+    if (committed.ok) {
+      return next;
+    }
+    // 409: the file changed since it was read. 422 without a sha: another run
+    // created it first.
+    const conflict = committed.status === 409 || (committed.status === 422 && !existingFile);
+    if (conflict && attempt < BRANCH_UPDATE_MAX_ATTEMPTS) {
+      continue;
+    }
+    if (committed.status === 404 || committed.status === 422) {
+      throw githubFailure(
+        `Failed to update ${filePath} (does branch "${branch}" exist in ${repo}?)`,
+        committed
+      );
+    }
+    throw githubFailure(`Failed to update ${filePath} on branch ${branch}`, committed);
+  }
+}
+
+function s3Credentials() {
+  const accessKeyId = optionalEnv("S3_ACCESS_KEY_ID") || optionalEnv("AWS_ACCESS_KEY_ID");
+  const secretAccessKey =
+    optionalEnv("S3_SECRET_ACCESS_KEY") || optionalEnv("AWS_SECRET_ACCESS_KEY");
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error(
+      'storage "s3" requires S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY (or the AWS_ equivalents).'
+    );
+  }
+  const sessionToken = optionalEnv("S3_SESSION_TOKEN") || optionalEnv("AWS_SESSION_TOKEN");
+  return { accessKeyId, secretAccessKey, sessionToken };
+}
+
+async function putS3Object({ endpoint, region, bucket, key, contentType, body }) {
+  const url = s3ObjectUrl({ endpoint, bucket, key });
+  if (dryRun) {
+    printDryRunRequest("PUT", url);
+    return;
+  }
+
+  const headers = signS3Request({
+    method: "PUT",
+    url,
+    headers: { "Content-Type": contentType },
+    body,
+    region,
+    ...s3Credentials(),
+  });
+  const { response, text, attempts } = await fetchWithRetry(url, {
+    method: "PUT",
+    headers,
+    body,
+  });
+  if (!response.ok) {
+    const after = attempts > 1 ? ` after ${attemptsLabel(attempts)}` : "";
+    throw new Error(`PUT ${url} failed (${response.status})${after}: ${text}`);
+  }
+}
+
+// Where the attachment fallback and calendar feeds are published. put()
+// stores a file and returns a URL that Airtable and calendar clients can
+// fetch; `method` names the adapter in run results.
+function storageAdapter(config) {
+  const { storage, releaseTag, storageBranch, storagePath, storageBaseUrl } = config;
+  const objectKey = (filename) =>
+    [storagePath.replace(/^\/+|\/+$/g, ""), filename].filter(Boolean).join("/");
+  const baseUrl = (key) => `${storageBaseUrl.replace(/\/+$/, "")}/${encodeObjectKey(key)}`;
+
+  if (storage === "git-branch") {
+    return {
+      method: "git_branch_url",
+      put: async ({ filename, body }) => {
+        const github = requireGithubContext(storage);
+        const filePath = objectKey(filename);
+        const rawUrl = await commitFileToBranch({
+          ...github,
+          branch: storageBranch,
+          filePath,
+          body,
+        });
+        return storageBaseUrl ? baseUrl(filePath) : rawUrl;
+      },
+    };
+  }
+  if (storage === "s3") {
+    const { s3Bucket, s3Region, s3Endpoint } = config;
+    return {
+      method: "s3_url",
+      put: async ({ filename, contentType, body }) => {
+        const key = objectKey(filename);
+        await putS3Object({
+          endpoint: s3Endpoint,
+          region: s3Region,
+          bucket: s3Bucket,
+          key,
+          contentType,
+          body,
+        });
+        return storageBaseUrl
+          ? baseUrl(key)
+          : s3ObjectUrl({ endpoint: s3Endpoint, bucket: s3Bucket, key });
+      },
+    };
+  }
+  if (storage === "local-dir") {
+    return {
+      method: "local_dir_url",
+      put: async ({ filename, body }) => {
+        const filePath = path.resolve(storagePath, filename);
+        if (dryRun) {
+          printDryRunRequest("WRITE", filePath);
+        } else {
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          fs.writeFileSync(filePath, body);
+        }
+        return baseUrl(filename);
+      },
+    };
+  }
+  return {
+    method: "github_release_url",
+    put: ({ filename, contentType, body }) =>
+      uploadGithubReleaseAsset({
+        ...requireGithubContext(storage),
+        tag: releaseTag,
+        filename,
+        contentType,
+        body,
+      }),
+  };
+}
+
+// Uploads the file and PATCHes it into attachmentField together with
+// `extraFields`, so the attachment and its bookkeeping fields land in one
+// request.
+async function attachFileWithFallback({
+  airtableToken,
+  baseId,
+  tableIdOrName,
+  recordId,
+  attachmentField,
+  storage,
+  filename,
+  contentType,
+  fileBuffer,
+  extraFields = {},
+}) {
+  const record = { airtableToken, baseId, tableIdOrName, recordId };
+  let latestAttachment = null;
+  try {
+    const uploadResponse = await uploadAttachmentToAirtable({
+      airtableToken,
+      baseId,
+      recordId,
+      attachmentField,
+      filename,
+      contentType,
+      fileBuffer,
+    });
+
+    latestAttachment = extractLatestAttachmentFromUploadResponse(
+      uploadResponse,
+      attachmentField,
+      filename
+    );
+
+    if (!latestAttachment) {
+      const refreshed = await fetchAirtableRecord({
+        airtableToken,
         baseId,
         tableIdOrName,
         recordId,
@@ -620,141 +1586,1956 @@ async function attachIcsWithFallback({
         `Direct Airtable upload succeeded but could not resolve attachment for field "${attachmentField}".`
       );
     }
-
-    await updateAirtableRecord({
-      airtableToken,
-      baseId,
-      tableIdOrName,
-      recordId,
-      fields: {
-        [attachmentField]: [latestAttachment],
-      },
-    });
-
-    return { method: "airtable_upload_attachment" };
   } catch (error) {
     console.warn(`Direct Airtable upload failed, trying URL fallback. Reason: ${error.message}`);
   }
 
-  const githubToken = process.env.GITHUB_TOKEN;
-  const githubRepo = process.env.GITHUB_REPOSITORY;
-  const githubApiUrl = process.env.GITHUB_API_URL || "https://api.github.com";
-
-  if (!githubToken || !githubRepo) {
-    throw new Error(
-      "Fallback upload requires GITHUB_TOKEN and GITHUB_REPOSITORY. Direct Airtable upload also failed."
-    );
+  if (latestAttachment) {
+    try {
+      await updateAirtableRecord({
+        ...record,
+        fields: { ...extraFields, [attachmentField]: [latestAttachment] },
+      });
+      return { method: "airtable_upload_attachment" };
+    } catch (error) {
+      // The PATCH also sets extraFields. Written on their own, a rejected
+      // field value fails the run here instead of being retried with a URL.
+      if (Object.keys(extraFields).length > 0) {
+        await updateAirtableRecord({ ...record, fields: extraFields });
+      }
+      console.warn(`Attachment PATCH failed, trying URL fallback. Reason: ${error.message}`);
+    }
   }
 
-  const assetUrl = await uploadIcsToGithubRelease({
-    token: githubToken,
-    repo: githubRepo,
-    apiUrl: githubApiUrl,
-    tag: releaseTag,
-    filename,
-    icsBuffer,
-  });
+  const assetUrl = await storage.put({ filename, contentType, body: fileBuffer });
 
   await updateAirtableRecord({
-    airtableToken,
-    baseId,
-    tableIdOrName,
-    recordId,
-    fields: {
-      [attachmentField]: [{ url: assetUrl, filename }],
-    },
+    ...record,
+    fields: { ...extraFields, [attachmentField]: [{ url: assetUrl, filename }] },
   });
 
-  return { method: "github_release_url", assetUrl };
+  return { method: storage.method, assetUrl };
 }
 
-async function main() {
-  const { eventPath, payload } = readDispatchPayload();
-  const config = resolveAirtableConfig(payload);
+// Display values of linked records, keyed by base/table/displayField/recordId.
+// Shared across all records handled in one run.
+const linkedRecordCache = new Map();
+
+function linkedRecordCacheKey(baseId, { linkedTable, displayField, nameField }, recordId) {
+  return `${baseId}/${linkedTable}/${displayField}/${nameField}/${recordId}`;
+}
+
+// With a nameField the display value is treated as an email address and
+// paired with the name, like an Airtable collaborator.
+function linkedDisplayValue(fields, { displayField, nameField }) {
+  const value = fields[displayField];
+  if (!nameField || typeof value !== "string" || !value.trim()) {
+    return value;
+  }
+  return { name: normalizeText(fields[nameField]).trim(), email: value.trim() };
+}
+
+function linkedRecordIds(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter((item) => typeof item === "string" && /^rec[A-Za-z0-9]+$/.test(item));
+}
+
+function recordIdFormula(recordIds) {
+  return `OR(${recordIds.map((id) => `RECORD_ID()='${id}'`).join(",")})`;
+}
+
+// Fetches every linked record referenced by `fieldsList` that is not cached
+// yet, batching ids into RECORD_ID() formulas.
+async function prefetchLinkedRecords(config, fieldsList) {
+  const { airtableToken, baseId, linkedFields } = config;
+
+  for (const [field, link] of Object.entries(linkedFields || {})) {
+    const missing = new Set();
+    for (const fields of fieldsList) {
+      for (const recordId of linkedRecordIds(fields[field])) {
+        if (!linkedRecordCache.has(linkedRecordCacheKey(baseId, link, recordId))) {
+          missing.add(recordId);
+        }
+      }
+    }
+
+    const ids = [...missing];
+    for (let i = 0; i < ids.length; i += RECORD_ID_BATCH_SIZE) {
+      const batch = ids.slice(i, i + RECORD_ID_BATCH_SIZE);
+      const records = await listAirtableRecords({
+        airtableToken,
+        baseId,
+        tableIdOrName: link.linkedTable,
+        filterByFormula: recordIdFormula(batch),
+        fields: link.nameField ? [link.displayField, link.nameField] : [link.displayField],
+      });
+      for (const id of batch) {
+        linkedRecordCache.set(linkedRecordCacheKey(baseId, link, id), undefined);
+      }
+      for (const record of records) {
+        linkedRecordCache.set(
+          linkedRecordCacheKey(baseId, link, record.id),
+          linkedDisplayValue(recordFields(record), link)
+        );
+      }
+    }
+  }
+}
+
+// Replaces linked record ids with the display values fetched by
+// prefetchLinkedRecords. Ids of deleted or empty records are dropped.
+function applyLinkedRecords(config, fields) {
+  const { baseId, linkedFields } = config;
+  const resolved = { ...fields };
+
+  for (const [field, link] of Object.entries(linkedFields || {})) {
+    const ids = linkedRecordIds(fields[field]);
+    if (ids.length === 0) {
+      continue;
+    }
+    const values = [];
+    for (const id of ids) {
+      const value = linkedRecordCache.get(linkedRecordCacheKey(baseId, link, id));
+      if (value === undefined || value === null || value === "") {
+        console.warn(`Linked record ${id} in field "${field}" has no "${link.displayField}".`);
+        continue;
+      }
+      values.push(...(Array.isArray(value) ? value : [value]));
+    }
+    resolved[field] = values;
+  }
+
+  return resolved;
+}
+
+async function resolveLinkedRecords(config, fieldsList) {
+  await prefetchLinkedRecords(config, fieldsList);
+  return fieldsList.map((fields) => applyLinkedRecords(config, fields));
+}
+
+function buildEventFromRecord(config, recordId, fields) {
   const {
-    recordId,
-    automationKey,
-    configPath,
-    airtableToken,
-    baseId,
-    tableIdOrName,
-    attachmentField,
-    updatedAtField,
-    releaseTag,
     eventNameField,
     startField,
     endField,
     locationField,
     descriptionField,
+    allDay,
+    allDayField,
+    timeZone,
+    timeZoneField,
+    recurrenceField,
+    recurrenceUntilField,
+    recurrenceCountField,
+    exceptionDatesField,
+    statusField,
+    sequenceField,
+    uidField,
+    organizerField,
+    organizer,
+    attendeesField,
+    optionalAttendeesField,
+    alarms,
+    summaryTemplate,
+    descriptionTemplate,
+    locationTemplate,
+    templateLocale,
   } = config;
 
-  console.log(`Event payload file: ${eventPath}`);
-  console.log(`Config file: ${configPath}`);
-  console.log(`Processing Airtable record: ${recordId}`);
-  if (automationKey) {
-    console.log(`Automation key: ${automationKey}`);
-  }
-  console.log(`Using table: ${tableIdOrName}`);
-
-  const record = await fetchAirtableRecord({ airtableToken, baseId, tableIdOrName, recordId });
-  const fields = record && typeof record.fields === "object" && record.fields ? record.fields : {};
+  const eventTimeZone = resolveEventTimeZone(fields, { timeZone, timeZoneField });
+  const templateOptions = { timeZone: eventTimeZone, locale: templateLocale || undefined };
+  const textFromConfig = (template, fieldName) =>
+    template
+      ? renderTemplate(template, fields, templateOptions).trim()
+      : normalizeText(fields[fieldName]).trim();
 
-  const eventName = normalizeText(fields[eventNameField]).trim();
+  const eventName = textFromConfig(summaryTemplate, eventNameField).replace(/\s*\n\s*/g, " ");
   if (!eventName) {
     const availableFields = Object.keys(fields).sort().join(", ");
+    if (summaryTemplate) {
+      throw new Error(
+        `summaryTemplate rendered an empty SUMMARY. Available fields: ${availableFields}`
+      );
+    }
     throw new Error(
       `Missing required Airtable field: ${eventNameField}. Available fields: ${availableFields}`
     );
   }
 
-  const startDate = parseDate(fields[startField], startField);
-  const endDate = parseDate(fields[endField], endField);
-  if (endDate <= startDate) {
-    throw new Error(`Invalid event range: "${endField}" must be after "${startField}"`);
-  }
-
-  const location = normalizeText(fields[locationField]).trim();
-  const description = normalizeText(fields[descriptionField]).trim();
+  const timing = resolveEventTiming(fields, {
+    startField,
+    endField,
+    allDay,
+    allDayField,
+    timeZone: eventTimeZone,
+  });
+  const recurrence = resolveRecurrence(
+    fields,
+    { recurrenceField, recurrenceUntilField, recurrenceCountField, exceptionDatesField },
+    { allDay: timing.allDay, timeZone: eventTimeZone, startDate: timing.startDate }
+  );
 
-  const icsText = buildIcs({
+  return {
     recordId,
+    uid: uidField ? normalizeText(fields[uidField]).trim() : "",
     eventName,
-    startDate,
-    endDate,
-    location,
-    description,
-  });
+    allDay: timing.allDay,
+    timeZone: eventTimeZone,
+    startDate: timing.startDate,
+    endDate: timing.endDate,
+    recurrence,
+    location: textFromConfig(locationTemplate, locationField),
+    description: textFromConfig(descriptionTemplate, descriptionField),
+    status: statusField ? resolveEventStatus(fields, statusField) : "",
+    sequence: sequenceField ? parseSequence(fields[sequenceField], sequenceField) : null,
+    organizer: resolveOrganizer(fields, { organizerField, organizer }),
+    attendees: resolveAttendees(fields, { attendeesField, optionalAttendeesField }),
+    alarms,
+  };
+}
 
-  const filename = `${recordId}.ics`;
-  const tmpPath = path.join(os.tmpdir(), filename);
-  fs.writeFileSync(tmpPath, icsText, "utf8");
-  const icsBuffer = Buffer.from(icsText, "utf8");
+// Session records of the linked `sessions.linkedTable`, keyed like
+// linkedRecordCache; deleted records are cached as undefined.
+const sessionRecordCache = new Map();
+
+function sessionFieldNames(sessions) {
+  return [
+    sessions.startField,
+    sessions.endField,
+    sessions.nameField,
+    sessions.locationField,
+    sessions.descriptionField,
+  ].filter(Boolean);
+}
 
-  const attachmentResult = await attachIcsWithFallback({
-    airtableToken,
-    baseId,
-    tableIdOrName,
-    recordId,
-    attachmentField,
-    releaseTag,
-    filename,
-    icsBuffer,
-  });
+async function prefetchSessionRecords(config, fieldsList) {
+  const { airtableToken, baseId, sessions } = config;
+  if (!sessions || !sessions.linkedTable) {
+    return;
+  }
+  const cacheKey = (id) => `${baseId}:${sessions.linkedTable}:${id}`;
+  const ids = [
+    ...new Set(fieldsList.flatMap((fields) => linkedRecordIds(fields[sessions.field]))),
+  ].filter((id) => !sessionRecordCache.has(cacheKey(id)));
+
+  for (let i = 0; i < ids.length; i += RECORD_ID_BATCH_SIZE) {
+    const batch = ids.slice(i, i + RECORD_ID_BATCH_SIZE);
+    const records = await listAirtableRecords({
+      airtableToken,
+      baseId,
+      tableIdOrName: sessions.linkedTable,
+      filterByFormula: recordIdFormula(batch),
+      fields: sessionFieldNames(sessions),
+    });
+    for (const id of batch) {
+      sessionRecordCache.set(cacheKey(id), undefined);
+    }
+    for (const record of records) {
+      sessionRecordCache.set(cacheKey(record.id), recordFields(record));
+    }
+  }
+}
 
-  const updatedAt = await updateAirtableTimestampField({
-    airtableToken,
-    baseId,
-    tableIdOrName,
-    recordId,
-    updatedAtField,
+// The record's sessions as { key, start, end, name, location, description },
+// from prefetched session records or from the schedule field.
+function recordSessions(config, fields, timeZone) {
+  const { baseId, sessions } = config;
+  if (!sessions.linkedTable) {
+    return parseSchedule(fields[sessions.field], sessions.field, { timeZone });
+  }
+
+  const result = [];
+  for (const id of linkedRecordIds(fields[sessions.field])) {
+    const session = sessionRecordCache.get(`${baseId}:${sessions.linkedTable}:${id}`);
+    if (!session) {
+      console.warn(`Session record ${id} in field "${sessions.field}" was not found.`);
+      continue;
+    }
+    const text = (fieldName) => (fieldName ? normalizeText(session[fieldName]).trim() : "");
+    result.push({
+      key: id,
+      start: session[sessions.startField],
+      end: session[sessions.endField],
+      name: text(sessions.nameField),
+      location: text(sessions.locationField),
+      description: text(sessions.descriptionField),
+    });
+  }
+  return result;
+}
+
+// One event per session when `sessions` is configured and the record has
+// any, otherwise the record's single event. Session events share the
+// record's other properties and never repeat.
+function buildEventsFromRecord(config, recordId, fields) {
+  if (!config.sessions) {
+    return [buildEventFromRecord(config, recordId, fields)];
+  }
+  const timeZone = resolveEventTimeZone(fields, config);
+  const sessions = recordSessions(config, fields, timeZone);
+  if (sessions.length === 0) {
+    return [buildEventFromRecord(config, recordId, fields)];
+  }
+
+  const { startField, endField } = config;
+  return sessions.map((session) => {
+    let event;
+    try {
+      event = buildEventFromRecord(config, recordId, {
+        ...fields,
+        [startField]: session.start,
+        [endField]: session.end,
+      });
+    } catch (error) {
+      throw new Error(`Session ${session.key}: ${error.message}`);
+    }
+    return {
+      ...event,
+      uid: sessionUid(event.uid || eventUid(recordId), session.key),
+      eventName: session.name ? `${event.eventName}: ${session.name}` : event.eventName,
+      recordName: event.eventName,
+      sessionName: session.name,
+      location: session.location || event.location,
+      description: [event.description, session.description].filter(Boolean).join("\n\n"),
+      recurrence: null,
+    };
   });
+}
 
-  console.log(`ICS written to: ${tmpPath}`);
-  console.log(`Attachment method: ${attachmentResult.method}`);
-  if (attachmentResult.assetUrl) {
-    console.log(`Fallback asset URL: ${attachmentResult.assetUrl}`);
+function buildContactFromRecord(config, recordId, fields) {
+  const { fullNameField, emailField, phoneField, uidField } = config;
+  const text = (fieldName) => (fieldName ? normalizeText(fields[fieldName]).trim() : "");
+
+  const fullName = text(fullNameField).replace(/\s*\n\s*/g, " ");
+  if (!fullName) {
+    const availableFields = Object.keys(fields).sort().join(", ");
+    throw new Error(
+      `Missing required Airtable field: ${fullNameField}. Available fields: ${availableFields}`
+    );
   }
-  console.log(`Updated field "${updatedAtField}" -> ${updatedAt}`);
+  const phones = phoneField
+    ? (Array.isArray(fields[phoneField]) ? fields[phoneField] : [fields[phoneField]])
+        .flatMap((value) => normalizeText(value).split(/[\n;,]+/))
+        .map((value) => value.trim())
+        .filter(Boolean)
+    : [];
+
+  return {
+    uid: text(uidField) || eventUid(recordId),
+    fullName,
+    emails: emailField
+      ? parseParticipants(fields[emailField], emailField).map((person) => person.email)
+      : [],
+    phones,
+    organization: text(config.organizationField),
+    title: text(config.jobTitleField),
+    url: text(config.urlField),
+    note: text(config.noteField),
+  };
+}
+
+// The file for one record with the automation's generator, and the events it
+// was built from (none for vCards).
+function buildRecordFile(config, recordId, fields) {
+  const { generator, templateLocale, pageTemplate } = config;
+  if (getGenerator(generator).input === "contact") {
+    return { events: [], text: buildVCard(buildContactFromRecord(config, recordId, fields)) };
+  }
+
+  const events = buildEventsFromRecord(config, recordId, fields);
+  if (generator === "jsonld") {
+    const url = config.urlField ? normalizeText(fields[config.urlField]).trim() : "";
+    return { events, text: buildEventJsonLd(events.map((event) => ({ ...event, url }))) };
+  }
+  if ((generator === "markdown" || generator === "html") && pageTemplate) {
+    const text = renderTemplate(pageTemplate, fields, {
+      timeZone: events[0].timeZone,
+      locale: templateLocale || undefined,
+      escape: generator === "html" ? escapeHtml : undefined,
+    });
+    return { events, text: `${text.trimEnd()}\n` };
+  }
+  if (generator === "markdown" || generator === "html") {
+    return {
+      events,
+      text: buildEventPage(events, { format: generator, locale: templateLocale || undefined }),
+    };
+  }
+  return { events, text: buildIcs(events) };
+}
+
+// <recordId>.<extension> unless filenamePattern is set. The pattern may use
+// {recordId} besides the record's fields; the extension is always added.
+function recordFilename(config, recordId, fields) {
+  const { extension } = getGenerator(config.generator);
+  if (!config.filenamePattern) {
+    return `${recordId}.${extension}`;
+  }
+  const templateOptions = { locale: config.templateLocale || undefined };
+  const rendered = renderTemplate(config.filenamePattern, { ...fields, recordId }, templateOptions);
+  const filename = rendered.trim().replace(/[\\/:*?"<>|\s]+/g, "-");
+  if (!filename) {
+    throw new Error("filenamePattern rendered an empty file name.");
+  }
+  return `${filename}.${extension}`;
+}
+
+function recordFields(record) {
+  return record && typeof record.fields === "object" && record.fields ? record.fields : {};
+}
+
+async function fetchAttachmentText(url) {
+  const { response, text, attempts } = await fetchWithRetry(url);
+  if (!response.ok) {
+    const after = attempts > 1 ? ` after ${attemptsLabel(attempts)}` : "";
+    throw new Error(`GET ${url} failed (${response.status})${after}`);
+  }
+  return text;
+}
+
+// Hash of the content the record currently carries: the stored hashField
+// value when configured, otherwise the hash of the single attached file.
+async function currentContentHash(config, fields) {
+  const { hashField, attachmentField } = config;
+  if (hashField) {
+    return nonEmptyString(fields[hashField]);
+  }
+
+  const attachments = Array.isArray(fields[attachmentField]) ? fields[attachmentField] : [];
+  const url = attachments.length === 1 ? nonEmptyString(attachments[0] && attachments[0].url) : "";
+  if (!url) {
+    return "";
+  }
+
+  try {
+    return generatedContentHash(config.generator, await fetchAttachmentText(url));
+  } catch (error) {
+    console.warn(`Could not read current attachment, re-uploading. Reason: ${error.message}`);
+    return "";
+  }
+}
+
+// Values for syncStatusField/errorField; a successful run clears the error.
+function syncStatusFields({ syncStatusField, errorField }, error) {
+  const fields = {};
+  if (syncStatusField) {
+    fields[syncStatusField] = error ? "Error" : "OK";
+  }
+  if (errorField) {
+    fields[errorField] = error ? error.message : "";
+  }
+  return fields;
+}
+
+function hasStaleSyncStatus(fields, statusFields) {
+  return Object.entries(statusFields).some(([name, value]) =>
+    value ? fields[name] !== value : !isEmptyFieldValue(fields[name])
+  );
+}
+
+// Best effort: the original error matters more than a failed status write.
+async function recordSyncError(config, recordId, error) {
+  const fields = syncStatusFields(config, error);
+  if (Object.keys(fields).length === 0) {
+    return;
+  }
+
+  const { airtableToken, baseId, tableIdOrName } = config;
+  try {
+    await updateAirtableRecord({ airtableToken, baseId, tableIdOrName, recordId, fields });
+  } catch (writeError) {
+    console.warn(`Could not write sync error to record ${recordId}: ${writeError.message}`);
+  }
+}
+
+async function processRecord(config, recordId, prefetchedRecord) {
+  try {
+    return await syncRecord(config, recordId, prefetchedRecord);
+  } catch (error) {
+    await recordSyncError(config, recordId, error);
+    throw error;
+  }
+}
+
+// Fails the run when generated ICS breaks RFC 5545, before anything is
+// uploaded or sent.
+function assertValidIcs(icsText, description) {
+  const problems = lintIcs(icsText);
+  if (problems.length > 0) {
+    throw new Error(`${description} is not valid ICS:\n${formatIcsProblems(problems)}`);
+  }
+}
+
+function smtpSettings() {
+  const host = optionalEnv("SMTP_HOST");
+  if (!host) {
+    throw new Error("Email invitations need SMTP_HOST (and usually SMTP_USER and SMTP_PASSWORD).");
+  }
+  const configuredPort = optionalEnv("SMTP_PORT");
+  const tls =
+    optionalEnv("SMTP_TLS").toLowerCase() || (configuredPort === "465" ? "tls" : "starttls");
+  if (!SMTP_TLS_MODES.includes(tls)) {
+    throw new Error(`Invalid SMTP_TLS "${tls}". Use one of: ${SMTP_TLS_MODES.join(", ")}.`);
+  }
+  const port = Number(configuredPort || (tls === "tls" ? 465 : 587));
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    throw new Error(`Invalid SMTP_PORT "${configuredPort}".`);
+  }
+  return {
+    host,
+    port,
+    tls,
+    user: optionalEnv("SMTP_USER"),
+    password: optionalEnv("SMTP_PASSWORD"),
+  };
+}
+
+// Emails iTIP invitations for the record's events and stores what was sent in
+// invitationStateField. Messages that went out before a failure are still
+// recorded, so the next run only retries the rest.
+async function sendRecordInvitations(config, recordId, fields, events) {
+  const { airtableToken, baseId, tableIdOrName, invitationStateField, invitationFrom } = config;
+  const state = parseInvitationState(fields[invitationStateField], invitationStateField);
+  const organizer = events.map((event) => event.organizer).find(Boolean);
+  const sends = planInvitations(events, state, {
+    organizer,
+    locale: config.templateLocale || undefined,
+  });
+  if (sends.length === 0) {
+    console.log("Invitations: unchanged");
+    return;
+  }
+  if (!organizer) {
+    throw new Error("Email invitations need an organizer. Set organizerField or organizer.");
+  }
+
+  const from = invitationFrom ? parseParticipants(invitationFrom, "invitationFrom")[0] : organizer;
+  const smtp = dryRun ? null : smtpSettings();
+  const nextState = { ...state };
+  let sent = 0;
+  let failure = null;
+  for (const send of sends) {
+    assertValidIcs(send.calendar, `Invitation for ${send.uid}`);
+    const label = `${invitationSubject(send)} -> ${send.recipients.join(", ")}`;
+    if (dryRun) {
+      console.log(`[dry-run] SMTP METHOD:${send.method} ${label}`);
+    } else {
+      try {
+        await sendSmtpMail({
+          ...smtp,
+          from: from.email,
+          recipients: send.recipients,
+          message: buildInvitationMessage(send, { from, organizer }),
+        });
+      } catch (error) {
+        failure = error;
+        break;
+      }
+      console.log(`Invitation sent (METHOD:${send.method}): ${label}`);
+    }
+    sent += 1;
+    if (send.entry === null) {
+      delete nextState[send.uid];
+    } else {
+      nextState[send.uid] = send.entry;
+    }
+  }
+
+  if (sent > 0) {
+    await updateAirtableRecord({
+      airtableToken,
+      baseId,
+      tableIdOrName,
+      recordId,
+      fields: { [invitationStateField]: JSON.stringify(nextState) },
+    });
+  }
+  if (failure) {
+    throw new Error(`Failed to send invitation: ${failure.message}`);
+  }
+}
+
+async function syncRecord(config, recordId, prefetchedRecord) {
+  const {
+    airtableToken,
+    baseId,
+    tableIdOrName,
+    attachmentField,
+    updatedAtField,
+    hashField,
+    sequenceField,
+  } = config;
+
+  const record =
+    prefetchedRecord ||
+    (await fetchAirtableRecord({ airtableToken, baseId, tableIdOrName, recordId }));
+  const fields = recordFields(record);
+  const [resolvedFields] = await resolveLinkedRecords(config, [fields]);
+  await prefetchSessionRecords(config, [fields]);
+  const generator = getGenerator(config.generator);
+  const file = buildRecordFile(config, recordId, resolvedFields);
+  const { events } = file;
+  let fileText = file.text;
+  const contentHash = generatedContentHash(generator.name, fileText);
+
+  const [event] = events;
+  if (events.length > 1) {
+    console.log(`Sessions: ${events.length}`);
+  }
+  if (event && event.timeZone) {
+    console.log(`Time zone: ${event.timeZone}`);
+  }
+  if (event && event.recurrence) {
+    console.log(`Recurrence: ${event.recurrence.rule}`);
+  }
+  if (event && event.status) {
+    console.log(`Status: ${event.status}`);
+  }
+
+  const statusFields = syncStatusFields(config, null);
+  const previousHash = await currentContentHash(config, fields);
+  if (previousHash === contentHash) {
+    if (hasStaleSyncStatus(fields, statusFields)) {
+      await updateAirtableRecord({
+        airtableToken,
+        baseId,
+        tableIdOrName,
+        recordId,
+        fields: statusFields,
+      });
+    }
+    console.log("Attachment method: unchanged");
+    console.log(`Content hash: ${contentHash}`);
+    if (config.invitations) {
+      // A send that failed after the last upload is retried here.
+      await sendRecordInvitations(config, recordId, fields, events);
+    }
+    return { attachmentResult: { method: "unchanged" }, updatedAt: null };
+  }
+
+  const extraFields = { ...statusFields };
+  if (hashField) {
+    extraFields[hashField] = contentHash;
+  }
+  if (sequenceField && generator.name === "ics") {
+    // The content hash ignores SEQUENCE, so bumping it here does not make the
+    // next run see a change.
+    const hasSequence = !isEmptyFieldValue(fields[sequenceField]);
+    const sequence = hasSequence ? event.sequence + 1 : previousHash ? 1 : 0;
+    for (const sessionEvent of events) {
+      sessionEvent.sequence = sequence;
+    }
+    extraFields[sequenceField] = sequence;
+    fileText = buildIcs(events);
+    console.log(`Sequence: ${sequence}`);
+  }
+
+  const filename = recordFilename(config, recordId, resolvedFields);
+  const outputPath = config.icsOutputPath
+    ? path.resolve(config.icsOutputPath)
+    : path.join(os.tmpdir(), filename);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, fileText, "utf8");
+  const fileBuffer = Buffer.from(fileText, "utf8");
+  console.log(`${generator.name === "ics" ? "ICS" : "File"} written to: ${outputPath}`);
+  if (generator.name === "ics") {
+    assertValidIcs(fileText, `Generated ICS for record ${recordId} (${outputPath})`);
+  }
+
+  // With a known field type the timestamp goes into the attachment PATCH;
+  // otherwise it is written separately by trial and error.
+  const updatedAtType = await fetchFieldType({
+    airtableToken,
+    baseId,
+    tableIdOrName,
+    fieldName: updatedAtField,
+  });
+  let updatedAt = updatedAtType
+    ? formatTimestampForField(updatedAtField, updatedAtType, new Date())
+    : null;
+
+  const attachmentResult = await attachFileWithFallback({
+    airtableToken,
+    baseId,
+    tableIdOrName,
+    recordId,
+    attachmentField,
+    storage: storageAdapter(config),
+    filename,
+    contentType: generator.contentType,
+    fileBuffer,
+    extraFields: updatedAt === null ? {} : { ...extraFields, [updatedAtField]: updatedAt },
+  });
+
+  if (updatedAt === null) {
+    updatedAt = await updateAirtableTimestampField({
+      airtableToken,
+      baseId,
+      tableIdOrName,
+      recordId,
+      updatedAtField,
+      extraFields,
+    });
+  }
+
+  console.log(`Attachment method: ${attachmentResult.method}`);
+  if (attachmentResult.assetUrl) {
+    console.log(`Fallback asset URL: ${attachmentResult.assetUrl}`);
+  }
+  console.log(`Updated field "${updatedAtField}" -> ${updatedAt}`);
+
+  if (config.invitations) {
+    await sendRecordInvitations(config, recordId, fields, events);
+  }
+  return { attachmentResult, updatedAt };
+}
+
+async function runSweep(config) {
+  const {
+    automationKey,
+    configPath,
+    airtableToken,
+    baseId,
+    tableIdOrName,
+    viewName,
+    filterByFormula,
+  } = config;
+
+  if (!viewName && !filterByFormula) {
+    throw new Error(
+      `Sweep mode requires viewName or filterByFormula for automationKey "${automationKey}" in ${configPath}.`
+    );
+  }
+
+  console.log(`Sweeping table: ${tableIdOrName}`);
+  if (viewName) {
+    console.log(`View: ${viewName}`);
+  }
+  if (filterByFormula) {
+    console.log(`Filter: ${filterByFormula}`);
+  }
+
+  // Records usually leave a "needs sync" view once processed, so collect the
+  // full list before touching any of them to keep pagination stable.
+  const records = await listAirtableRecords({
+    airtableToken,
+    baseId,
+    tableIdOrName,
+    viewName,
+    filterByFormula,
+  });
+  console.log(`Records to process: ${records.length}`);
+  await prefetchLinkedRecords(config, records.map(recordFields));
+  await prefetchSessionRecords(config, records.map(recordFields));
+
+  const results = [];
+  for (const record of records) {
+    const recordId = record && record.id;
+    console.log(`\nProcessing Airtable record: ${recordId}`);
+    try {
+      const { attachmentResult } = await processRecord(config, recordId, record);
+      results.push({ recordId, ok: true, detail: attachmentResult.method });
+    } catch (error) {
+      console.error(`Record ${recordId} failed: ${error.message}`);
+      results.push({ recordId, ok: false, detail: error.message });
+    }
+  }
+
+  const failed = results.filter((result) => !result.ok);
+  console.log(
+    `\nSweep summary: ${results.length - failed.length} succeeded, ${failed.length} failed`
+  );
+  for (const result of results) {
+    console.log(`  ${result.ok ? "OK  " : "FAIL"} ${result.recordId}: ${result.detail}`);
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${results.length} records failed during sweep.`);
+  }
+}
+
+async function runFeed(config, { outputDir: configuredOutputDir }) {
+  const {
+    automationKey,
+    airtableToken,
+    baseId,
+    tableIdOrName,
+    feedViewName,
+    feedFilterByFormula,
+    feedFilename,
+    feedName,
+  } = config;
+
+  if (config.generator !== "ics") {
+    throw new Error(
+      `Feed mode builds ICS feeds, but automationKey "${automationKey}" uses generator "${config.generator}".`
+    );
+  }
+  console.log(`Building feed for table: ${tableIdOrName}`);
+  if (feedViewName) {
+    console.log(`View: ${feedViewName}`);
+  }
+  if (feedFilterByFormula) {
+    console.log(`Filter: ${feedFilterByFormula}`);
+  }
+
+  const records = await listAirtableRecords({
+    airtableToken,
+    baseId,
+    tableIdOrName,
+    viewName: feedViewName,
+    filterByFormula: feedFilterByFormula,
+  });
+
+  const resolvedFields = await resolveLinkedRecords(config, records.map(recordFields));
+  await prefetchSessionRecords(config, records.map(recordFields));
+
+  const events = [];
+  let skipped = 0;
+  for (const [index, record] of records.entries()) {
+    try {
+      events.push(...buildEventsFromRecord(config, record.id, resolvedFields[index]));
+    } catch (error) {
+      skipped += 1;
+      console.warn(`Skipping record ${record.id}: ${error.message}`);
+    }
+  }
+  events.sort((a, b) => a.startDate - b.startDate || a.recordId.localeCompare(b.recordId));
+
+  const icsText = buildCalendar({
+    events,
+    name: feedName || automationKey,
+    refreshInterval: FEED_REFRESH_INTERVAL,
+  });
+  console.log(`Feed events: ${events.length} (skipped ${skipped} of ${records.length} records)`);
+  assertValidIcs(icsText, `Feed ${feedFilename}`);
+
+  const outputDir = configuredOutputDir || (dryRun ? os.tmpdir() : "");
+  if (outputDir) {
+    const outputPath = path.resolve(outputDir, feedFilename);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, icsText, "utf8");
+    console.log(`Feed written to: ${outputPath}`);
+    return;
+  }
+
+  const feedUrl = await storageAdapter(config).put({
+    filename: feedFilename,
+    contentType: "text/calendar",
+    body: Buffer.from(icsText, "utf8"),
+  });
+  console.log(`Feed URL: ${feedUrl}`);
+}
+
+function configTemplateFields(config) {
+  const fieldNames = [
+    config.summaryTemplate,
+    config.descriptionTemplate,
+    config.locationTemplate,
+    config.pageTemplate,
+  ]
+    .filter(Boolean)
+    .flatMap(templateFieldNames);
+  // {recordId} in filenamePattern is the record id, not a field.
+  const filenameFields = config.filenamePattern
+    ? templateFieldNames(config.filenamePattern).filter((name) => name !== "recordId")
+    : [];
+  return [...fieldNames, ...filenameFields];
+}
+
+async function runValidate({ automationKey, checkAirtable }) {
+  const { configPath, configMap } = parseAutomationConfigFile();
+  const keys = automationKey ? [automationKey] : Object.keys(configMap);
+  const airtableToken = checkAirtable ? requireEnv("AIRTABLE_TOKEN") : "";
+  console.log(`Config file: ${configPath}`);
+
+  let failed = 0;
+  for (const key of keys) {
+    const entry = configMap[key];
+    const problems =
+      entry === undefined ? ["automation key not found"] : validateAutomationEntry(entry);
+
+    // Value checks (time zones, alarms, templates) run once the shape is right.
+    let config = null;
+    if (problems.length === 0) {
+      try {
+        config = readAutomationConfig({ automationKey: key });
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+
+    if (config && checkAirtable) {
+      const templateFields = configTemplateFields(config);
+      try {
+        const tables = await fetchBaseTables({ airtableToken, baseId: config.baseId });
+        problems.push(...checkAirtableSchema({ entry, config, tables, templateFields }));
+      } catch (error) {
+        problems.push(`metadata check failed: ${error.message}`);
+      }
+    }
+
+    if (problems.length === 0) {
+      console.log(`OK    ${key}`);
+    } else {
+      failed += 1;
+      console.log(`FAIL  ${key}`);
+      for (const problem of problems) {
+        console.log(`      - ${problem}`);
+      }
+    }
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} of ${keys.length} automation configs have problems.`);
+  }
+  console.log(`\nAll ${keys.length} automation configs are valid.`);
+}
+
+// Adds update(change), which saves change(loaded state). Without a
+// conflict check, two runs updating at once can lose one of the changes.
+function withUpdate(store) {
+  return {
+    ...store,
+    update: async (change) => {
+      const next = change(await store.load());
+      await store.save(next);
+      return next;
+    },
+  };
+}
+
+// A JSON document kept in the file named by the `envName` variable or, in
+// GitHub Actions, as an asset on the automation's release. Null when neither
+// is available.
+function jsonStateStore({ envName, releaseTag, filename }) {
+  const filePath = optionalEnv(envName);
+  if (filePath) {
+    return withUpdate({
+      load: async () => (fs.existsSync(filePath) ? readJsonFile(filePath) : {}),
+      save: async (state) => fs.writeFileSync(filePath, `${JSON.stringify(state, null, 2)}\n`),
+    });
+  }
+
+  const github = githubReleaseContext();
+  if (!github) {
+    return null;
+  }
+  const asset = { ...github, tag: releaseTag, filename };
+  return withUpdate({
+    load: async () => {
+      const text = await downloadGithubReleaseAsset(asset);
+      return text ? JSON.parse(text) : {};
+    },
+    save: (state) =>
+      uploadGithubReleaseAsset({
+        ...asset,
+        contentType: "application/json",
+        body: Buffer.from(JSON.stringify(state), "utf8"),
+      }),
+  });
+}
+
+// Signatures of accepted dispatches, kept until they would be stale anyway.
+// The HTTP receiver keeps them in memory unless a file is configured.
+let replayStateMemory = null;
+
+function replayStateStore({ releaseTag }) {
+  if (replayStateMemory && !optionalEnv("DISPATCH_REPLAY_STATE")) {
+    return withUpdate({
+      load: async () => replayStateMemory,
+      save: async (state) => {
+        replayStateMemory = state;
+      },
+    });
+  }
+  // Only the branch store detects concurrent updates; see README "Signed dispatches".
+  const branch = optionalEnv("DISPATCH_REPLAY_BRANCH");
+  const github = githubReleaseContext();
+  if (branch && github && !optionalEnv("DISPATCH_REPLAY_STATE")) {
+    return {
+      update: (change) =>
+        updateJsonFileOnBranch({ ...github, branch, filePath: REPLAY_STATE_ASSET, change }),
+    };
+  }
+  if (github && !optionalEnv("DISPATCH_REPLAY_STATE")) {
+    console.warn(
+      `Replay state is kept in the ${REPLAY_STATE_ASSET} release asset, which concurrent runs can overwrite; set DISPATCH_REPLAY_BRANCH for strict replay protection.`
+    );
+  }
+  return jsonStateStore({
+    envName: "DISPATCH_REPLAY_STATE",
+    releaseTag,
+    filename: REPLAY_STATE_ASSET,
+  });
+}
+
+// Verifies a signed dispatch payload before anything touches Airtable. Runs
+// only when a secret is configured for the automation, or fails when the
+// automation sets requireSignedDispatch without one.
+async function authenticateDispatch(config, payload) {
+  const { automationKey, requireSignedDispatch } = config;
+  const envNames = dispatchSecretEnvNames(automationKey);
+  const envName = envNames.find((name) => optionalEnv(name));
+  if (!envName) {
+    if (requireSignedDispatch) {
+      throw new Error(
+        `automationKey "${automationKey}" requires signed dispatches, but ${envNames.join(
+          " / "
+        )} is not set.`
+      );
+    }
+    return;
+  }
+
+  const { signature, timestamp } = verifyDispatchSignature(optionalEnv(envName), payload, {
+    maxAgeSeconds: DISPATCH_MAX_AGE_SECONDS,
+  });
+  console.log(`Dispatch signature verified with ${envName}.`);
+  if (dryRun) {
+    return;
+  }
+
+  const store = replayStateStore(config);
+  if (!store) {
+    console.warn(
+      "No replay state (DISPATCH_REPLAY_STATE or GitHub release); only the timestamp window limits replays."
+    );
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  await store.update((loaded) => {
+    const seen = Object.fromEntries(
+      Object.entries(loaded && typeof loaded === "object" ? loaded : {}).filter(
+        ([, expiresAt]) => expiresAt > now
+      )
+    );
+    if (seen[signature]) {
+      throw new Error("Dispatch payload was already processed (replayed signature).");
+    }
+    seen[signature] = timestamp + DISPATCH_MAX_AGE_SECONDS;
+    return seen;
+  });
+}
+
+function airtableWebhooksUrl(baseId) {
+  return `${airtableApiUrl()}/v0/bases/${encodeURIComponent(baseId)}/webhooks`;
+}
+
+// Field ids for the automation's webhook: the fields the event is built from
+// are watched, and the fields the processor writes are ignored so its own
+// updates do not come back as changes.
+async function resolveWebhookFields(config) {
+  const { airtableToken, baseId, tableIdOrName } = config;
+  const tables = await fetchBaseTables({ airtableToken, baseId });
+  const table = findTable(tables, tableIdOrName);
+  if (!table) {
+    throw new Error(`Table "${tableIdOrName}" was not found in base ${baseId}.`);
+  }
+  const fieldIds = (names) =>
+    names
+      .map((name) => findField(table, name))
+      .filter(Boolean)
+      .map((field) => field.id);
+
+  const ignoredFieldIds = fieldIds(mappedFieldNames(config, { writable: true }));
+  const watchedFieldIds = [
+    ...new Set(
+      fieldIds([
+        ...mappedFieldNames(config, { writable: false }),
+        ...Object.keys(config.linkedFields),
+        ...configTemplateFields(config),
+        ...(config.sessions ? [config.sessions.field] : []),
+      ])
+    ),
+  ].filter((fieldId) => !ignoredFieldIds.includes(fieldId));
+  if (watchedFieldIds.length === 0) {
+    throw new Error(
+      `None of the fields mapped for "${config.automationKey}" exist in ${table.name}.`
+    );
+  }
+  return { tableId: table.id, watchedFieldIds, ignoredFieldIds };
+}
+
+function isUsableWebhook(webhook) {
+  const expired = webhook.expirationTime && Date.parse(webhook.expirationTime) <= Date.now();
+  return webhook.isHookEnabled !== false && !expired;
+}
+
+// The automation's webhook and the cursor to read from. The stored webhook is
+// replaced when it is gone, expired or watches other fields; an existing
+// webhook with the same specification is reused before a new one is created.
+// Returns null in a dry run when a webhook would have to be created.
+async function ensureAirtableWebhook(config, specification, stored) {
+  const { airtableToken, baseId } = config;
+  const url = airtableWebhooksUrl(baseId);
+  const listed = await fetchJson(url, { token: airtableToken });
+  const webhooks = listed && Array.isArray(listed.webhooks) ? listed.webhooks : [];
+
+  const current = webhooks.find((webhook) => webhook.id === stored.webhookId);
+  if (
+    current &&
+    isUsableWebhook(current) &&
+    sameWebhookSpecification(specification, current.specification)
+  ) {
+    return { id: current.id, cursor: stored.cursor || 1, created: false };
+  }
+  if (current) {
+    console.log(
+      `Replacing webhook ${current.id}: it is expired, disabled or watches other fields.`
+    );
+    const deleteUrl = `${url}/${encodeURIComponent(current.id)}`;
+    if (dryRun) {
+      printDryRunRequest("DELETE", deleteUrl);
+    } else {
+      await fetchJson(deleteUrl, { method: "DELETE", token: airtableToken });
+    }
+  } else if (stored.webhookId) {
+    console.warn(`Stored webhook ${stored.webhookId} no longer exists.`);
+  }
+
+  const reusable = webhooks.find(
+    (webhook) =>
+      webhook !== current &&
+      !webhook.notificationUrl &&
+      isUsableWebhook(webhook) &&
+      sameWebhookSpecification(specification, webhook.specification)
+  );
+  if (reusable) {
+    const cursor = reusable.cursorForNextPayload || 1;
+    console.warn(`Reusing webhook ${reusable.id}; changes before cursor ${cursor} are skipped.`);
+    return { id: reusable.id, cursor, created: false };
+  }
+
+  if (dryRun) {
+    printDryRunRequest("POST", url, { specification });
+    return null;
+  }
+  const created = await fetchJson(url, {
+    method: "POST",
+    token: airtableToken,
+    body: { specification },
+  });
+  console.log(`Registered webhook ${created.id} (expires ${created.expirationTime}).`);
+  return { id: created.id, cursor: 1, created: true };
+}
+
+async function fetchWebhookPayloads({ airtableToken, baseId, webhookId, cursor }) {
+  const payloads = [];
+  let nextCursor = cursor;
+  let mightHaveMore = false;
+
+  do {
+    const params = new URLSearchParams({
+      cursor: String(nextCursor),
+      limit: String(WEBHOOK_PAYLOAD_PAGE_SIZE),
+    });
+    const page = await fetchJson(
+      `${airtableWebhooksUrl(baseId)}/${encodeURIComponent(webhookId)}/payloads?${params}`,
+      { token: airtableToken }
+    );
+    if (page && Array.isArray(page.payloads)) {
+      payloads.push(...page.payloads);
+    }
+    nextCursor = page && Number.isInteger(page.cursor) ? page.cursor : nextCursor;
+    mightHaveMore = Boolean(page && page.mightHaveMore);
+  } while (mightHaveMore);
+
+  return { payloads, cursor: nextCursor };
+}
+
+// Polls the automation's Airtable webhook and syncs every record changed since
+// the stored cursor. Records that fail are retried on the next runs, up to
+// WEBHOOK_MAX_ATTEMPTS in total.
+async function runWebhooks(config) {
+  const { automationKey, airtableToken, baseId, tableIdOrName, releaseTag } = config;
+  const store = jsonStateStore({
+    envName: "AIRTABLE_WEBHOOK_STATE",
+    releaseTag,
+    filename: WEBHOOK_STATE_ASSET,
+  });
+  if (!store && !dryRun) {
+    throw new Error(
+      "Webhook mode needs somewhere to keep its cursor: set AIRTABLE_WEBHOOK_STATE to a JSON file path, or GITHUB_TOKEN and GITHUB_REPOSITORY."
+    );
+  }
+  const state = store ? await store.load() : {};
+  const stored = state[automationKey] || {};
+
+  const { tableId, watchedFieldIds, ignoredFieldIds } = await resolveWebhookFields(config);
+  console.log(`Watching ${watchedFieldIds.length} fields of table ${tableIdOrName} (${tableId}).`);
+  const webhook = await ensureAirtableWebhook(
+    config,
+    webhookSpecification({ tableId, watchedFieldIds }),
+    stored
+  );
+  if (!webhook) {
+    return;
+  }
+
+  let cursor = webhook.cursor;
+  let changed = { recordIds: [], ignoredChanges: 0 };
+  if (webhook.created) {
+    console.log("Changes made from now on are reported on the next run; run --sweep to catch up.");
+  } else {
+    const fetched = await fetchWebhookPayloads({
+      airtableToken,
+      baseId,
+      webhookId: webhook.id,
+      cursor,
+    });
+    changed = changedRecordIds(fetched.payloads, { tableId, ignoredFieldIds });
+    console.log(
+      `Payloads: ${fetched.payloads.length} (cursor ${cursor} -> ${fetched.cursor}), changed records: ${changed.recordIds.length}, ignored processor-only changes: ${changed.ignoredChanges}`
+    );
+    cursor = fetched.cursor;
+  }
+
+  // Record id -> failed attempts so far.
+  const pending = { ...(stored.pendingRecords || {}) };
+  const retried = Object.keys(pending);
+  if (retried.length > 0) {
+    console.log(`Retrying ${retried.length} record(s) that failed on earlier runs.`);
+  }
+  const recordIds = [...new Set([...retried, ...changed.recordIds])];
+
+  const results = [];
+  for (const recordId of recordIds) {
+    console.log(`\nProcessing Airtable record: ${recordId}`);
+    try {
+      const { attachmentResult } = await processRecord(config, recordId);
+      results.push({ recordId, ok: true, detail: attachmentResult.method });
+      delete pending[recordId];
+    } catch (error) {
+      console.error(`Record ${recordId} failed: ${error.message}`);
+      results.push({ recordId, ok: false, detail: error.message });
+      const attempts = (pending[recordId] || 0) + 1;
+      // Deleted records are not worth retrying.
+      if (attempts >= WEBHOOK_MAX_ATTEMPTS || isNotFoundError(error)) {
+        console.warn(`Giving up on record ${recordId} after ${attemptsLabel(attempts)}.`);
+        delete pending[recordId];
+      } else {
+        pending[recordId] = attempts;
+      }
+    }
+  }
+  const failed = results.filter((result) => !result.ok);
+
+  if (dryRun) {
+    console.log(`[dry-run] Webhook cursor for ${automationKey} would move to ${cursor}.`);
+  } else {
+    state[automationKey] = { webhookId: webhook.id, cursor, pendingRecords: pending };
+    await store.save(state);
+  }
+
+  console.log(
+    `\nWebhook summary: ${results.length - failed.length} succeeded, ${failed.length} failed`
+  );
+  for (const result of results) {
+    console.log(`  ${result.ok ? "OK  " : "FAIL"} ${result.recordId}: ${result.detail}`);
+  }
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${results.length} records failed during webhook run.`);
+  }
+}
+
+async function fetchGithubPages(url, { token }) {
+  const items = [];
+  for (let page = 1; ; page += 1) {
+    const separator = url.includes("?") ? "&" : "?";
+    const pageUrl = `${url}${separator}per_page=${GITHUB_PAGE_SIZE}&page=${page}`;
+    const result = await fetchGithub(pageUrl, { token });
+    if (!result.ok) {
+      throw githubFailure(`Failed to list ${url}`, result);
+    }
+    const pageItems = Array.isArray(result.data) ? result.data : [];
+    items.push(...pageItems);
+    if (pageItems.length < GITHUB_PAGE_SIZE) {
+      return items;
+    }
+  }
+}
+
+// Ids among `recordIds` that still exist in the automation's table.
+async function existingRecordIds(config, recordIds) {
+  const { airtableToken, baseId, tableIdOrName, attachmentField } = config;
+  const found = new Set();
+  for (let i = 0; i < recordIds.length; i += RECORD_ID_BATCH_SIZE) {
+    const batch = recordIds.slice(i, i + RECORD_ID_BATCH_SIZE);
+    const records = await listAirtableRecords({
+      airtableToken,
+      baseId,
+      tableIdOrName,
+      filterByFormula: recordIdFormula(batch),
+      fields: [attachmentField],
+    });
+    for (const record of records) {
+      found.add(record.id);
+    }
+  }
+  return found;
+}
+
+// Works out which assets of one release are orphaned. Every automation that
+// shares the release is asked, so an asset is kept while any of them still
+// has the record.
+async function planReleaseCleanup(github, tag, owners) {
+  const { token, repo, apiUrl } = github;
+  const byTag = await fetchGithub(
+    `${apiUrl}/repos/${repo}/releases/tags/${encodeURIComponent(tag)}`,
+    { token }
+  );
+  if (byTag.status === 404) {
+    return null;
+  }
+  if (!byTag.ok) {
+    throw githubFailure("Failed to fetch release by tag", byTag);
+  }
+
+  const assetsUrl = `${apiUrl}/repos/${repo}/releases/${byTag.data.id}/assets`;
+  const assets = await fetchGithubPages(assetsUrl, { token });
+  const recordAssets = assets.filter((asset) => RECORD_ASSET_PATTERN.test(asset.name));
+  let remaining = recordAssets.map((asset) => asset.name.replace(/\.\w+$/, ""));
+  for (const owner of owners) {
+    const found = await existingRecordIds(owner, remaining);
+    remaining = remaining.filter((recordId) => !found.has(recordId));
+  }
+  const orphaned = new Set(remaining);
+  return {
+    tag,
+    assets,
+    recordAssets,
+    orphans: recordAssets.filter((asset) => orphaned.has(asset.name.replace(/\.\w+$/, ""))),
+  };
+}
+
+// Deletes `<recordId>.ics` release assets whose record no longer exists.
+// Nothing is deleted when any lookup fails or when a release would lose more
+// than `maxDeleteFraction` of its record files.
+async function runGc({ automationKey, maxDeleteFraction, pruneReleases }) {
+  const { configPath, configMap } = parseAutomationConfigFile();
+  const keys = automationKey ? [automationKey] : Object.keys(configMap);
+  const github = requireGithubContext("github-release");
+  console.log(`Config file: ${configPath}`);
+
+  // Releases can be shared, so owners are looked up across every automation.
+  // A config that can't be resolved (its table comes from the payload, for
+  // example) still claims its release, which is then left alone.
+  const configs = Object.keys(configMap).map((key) => {
+    try {
+      return resolveAutomationConfig({ automationKey: key }, { requireToken: false });
+    } catch (error) {
+      const raw = configMap[key];
+      return {
+        automationKey: key,
+        releaseTag: pickString(raw, configKeyNames("releaseTag")) || DEFAULT_RELEASE_TAG,
+        storage: pickString(raw, configKeyNames("storage")) || DEFAULT_STORAGE,
+        error,
+      };
+    }
+  });
+  const selected = configs.filter((config) => keys.includes(config.automationKey));
+  for (const config of selected.filter((config) => config.storage !== "github-release")) {
+    console.warn(
+      `automationKey "${config.automationKey}" uses storage "${config.storage}"; --gc only cleans up github-release assets, skipping it.`
+    );
+  }
+  const releaseConfigs = selected.filter((config) => config.storage === "github-release");
+  const tags = [...new Set(releaseConfigs.map((config) => config.releaseTag))];
+  if (tags.length > 0) {
+    requireEnv("AIRTABLE_TOKEN");
+  }
+  // Pattern names can't be told apart from feeds and other assets.
+  for (const config of releaseConfigs.filter((config) => config.filenamePattern)) {
+    console.warn(
+      `automationKey "${config.automationKey}" sets filenamePattern; --gc only finds <recordId>.<extension> assets, so its files are never deleted.`
+    );
+  }
+
+  const plans = [];
+  for (const tag of tags) {
+    const owners = configs.filter((config) => config.releaseTag === tag);
+    const unresolved = owners.find((config) => config.error);
+    if (unresolved) {
+      console.warn(
+        `\nRelease ${tag}: skipped, records of automationKey "${unresolved.automationKey}" can't be looked up: ${unresolved.error.message}`
+      );
+      continue;
+    }
+    const plan = await planReleaseCleanup(github, tag, owners);
+    if (!plan) {
+      console.log(`\nRelease ${tag}: not found, nothing to clean up.`);
+      continue;
+    }
+    console.log(
+      `\nRelease ${tag} (${owners.map((config) => config.automationKey).join(", ")}): ${
+        plan.assets.length
+      } assets, ${plan.recordAssets.length} record files, ${plan.orphans.length} orphaned`
+    );
+    for (const asset of plan.orphans) {
+      console.log(`  orphan ${asset.name} (updated ${asset.updated_at})`);
+    }
+    plans.push(plan);
+  }
+
+  // Releases this tool created under a releaseTag no automation uses anymore.
+  const staleReleases = automationKey
+    ? []
+    : (await fetchGithubPages(`${github.apiUrl}/repos/${github.repo}/releases`, github)).filter(
+        (release) =>
+          release.name === ICS_RELEASE_NAME &&
+          !configs.some((config) => config.releaseTag === release.tag_name)
+      );
+  for (const release of staleReleases) {
+    console.log(
+      `\nRelease ${release.tag_name}: not used by any automation${
+        pruneReleases ? "" : " (pass --prune-releases to delete it)"
+      }`
+    );
+  }
+
+  const tooMany = plans.filter(
+    (plan) => plan.orphans.length > plan.recordAssets.length * maxDeleteFraction
+  );
+  if (tooMany.length > 0) {
+    const detail = tooMany
+      .map((plan) => `${plan.orphans.length} of ${plan.recordAssets.length} in ${plan.tag}`)
+      .join(", ");
+    throw new Error(
+      `Refusing to delete: ${detail} exceeds --max-delete-fraction=${maxDeleteFraction}. Check that the config points at the right bases and tables.`
+    );
+  }
+
+  const { token, repo, apiUrl } = github;
+  const deletions = [
+    ...plans.flatMap((plan) =>
+      plan.orphans.map((asset) => `${apiUrl}/repos/${repo}/releases/assets/${asset.id}`)
+    ),
+    ...(pruneReleases
+      ? staleReleases.flatMap((release) => [
+          `${apiUrl}/repos/${repo}/releases/${release.id}`,
+          `${apiUrl}/repos/${repo}/git/refs/tags/${encodeURIComponent(release.tag_name)}`,
+        ])
+      : []),
+  ];
+  for (const url of deletions) {
+    if (dryRun) {
+      printDryRunRequest("DELETE", url);
+      continue;
+    }
+    const deleted = await fetchGithub(url, { method: "DELETE", token });
+    if (!deleted.ok && deleted.status !== 404) {
+      throw githubFailure(`Failed to delete ${url}`, deleted);
+    }
+  }
+
+  const orphanCount = plans.reduce((total, plan) => total + plan.orphans.length, 0);
+  const releaseCount = pruneReleases ? staleReleases.length : 0;
+  console.log(
+    `\nGC summary: ${orphanCount} orphaned asset(s) and ${releaseCount} release(s) ${
+      dryRun ? "would be deleted" : "deleted"
+    }.`
+  );
+}
+
+async function readImportSource(source) {
+  if (/^(https?|webcal):\/\//i.test(source)) {
+    return fetchAttachmentText(source.replace(/^webcal:/i, "https:"));
+  }
+  return fs.readFileSync(path.resolve(source));
+}
+
+function airtableFormulaString(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// {Field name} reference; backslashes and closing braces in the name are escaped.
+function airtableFieldReference(fieldName) {
+  return `{${String(fieldName).replace(/[\\}]/g, "\\$&")}}`;
+}
+
+// Airtable values for an imported event, keyed by field name. Only mapped
+// fields are set, and empty values are null so a re-import clears them.
+function importedEventFields(config, event) {
+  const { linkedFields, startField, endField, uidField } = config;
+  const fields = {};
+  const set = (fieldName, value) => {
+    if (fieldName && !(linkedFields && linkedFields[fieldName])) {
+      fields[fieldName] = value === "" ? null : value;
+    }
+  };
+  const calendarDate = (date) => date.toISOString().slice(0, 10);
+
+  set(uidField, event.uid);
+  set(config.eventNameField, event.summary);
+  if (event.allDay) {
+    // ICS DTEND;VALUE=DATE is exclusive; Airtable end dates are inclusive.
+    const lastDate = new Date(Math.max(event.startDate, event.endDate.getTime() - DAY_MS));
+    set(startField, calendarDate(event.startDate));
+    set(endField, calendarDate(lastDate));
+  } else {
+    set(startField, event.startDate.toISOString());
+    set(endField, event.endDate.toISOString());
+  }
+  set(config.allDayField, event.allDay);
+  set(config.timeZoneField, event.timeZone);
+  set(config.locationField, event.location);
+  set(config.descriptionField, event.description);
+  set(config.recurrenceField, event.rrule);
+  set(
+    config.exceptionDatesField,
+    event.exceptionDates
+      .map((date) => (event.allDay ? calendarDate(date) : date.toISOString()))
+      .join("\n")
+  );
+  set(config.statusField, IMPORT_STATUS_LABELS[event.status] || "");
+  return fields;
+}
+
+// Names among `fieldNames` the import may write: with the base schema, fields
+// the table lacks or Airtable computes are left out.
+async function importableFieldNames(config, fieldNames) {
+  let tables;
+  try {
+    tables = await fetchBaseTables(config);
+  } catch (error) {
+    console.warn(
+      `Could not read the base schema, writing every mapped field. Reason: ${error.message}`
+    );
+    return fieldNames;
+  }
+  const table = findTable(tables, config.tableIdOrName);
+  if (!table) {
+    return fieldNames;
+  }
+  return fieldNames.filter((fieldName) => {
+    const field = findField(table, fieldName);
+    if (!field) {
+      console.warn(`Not importing into "${fieldName}": no such field in table "${table.name}".`);
+      return false;
+    }
+    if (COMPUTED_TYPES.has(field.type)) {
+      console.warn(`Not importing into "${fieldName}": Airtable computes it (${field.type}).`);
+      return false;
+    }
+    return true;
+  });
+}
+
+// Existing records for `uids`, keyed by UID. Records that store the UID in
+// uidField are found first; our own UIDs then name their record directly.
+async function findImportedRecords(config, uids, fields) {
+  const { airtableToken, baseId, tableIdOrName, uidField } = config;
+  const list = (filterByFormula) =>
+    listAirtableRecords({ airtableToken, baseId, tableIdOrName, filterByFormula, fields });
+  const byUid = new Map();
+
+  for (let i = 0; i < uids.length; i += UID_LOOKUP_BATCH_SIZE) {
+    const batch = uids.slice(i, i + UID_LOOKUP_BATCH_SIZE);
+    const matches = batch.map(
+      (uid) => `${airtableFieldReference(uidField)}=${airtableFormulaString(uid)}`
+    );
+    for (const record of await list(`OR(${matches.join(",")})`)) {
+      const uid = normalizeText(recordFields(record)[uidField]).trim();
+      if (!byUid.has(uid)) {
+        byUid.set(uid, record);
+      }
+    }
+  }
+
+  const uidsByRecordId = new Map(
+    uids.map((uid) => [recordIdFromEventUid(uid), uid]).filter(([recordId]) => recordId)
+  );
+  const recordIds = [...uidsByRecordId.keys()];
+  for (let i = 0; i < recordIds.length; i += RECORD_ID_BATCH_SIZE) {
+    const batch = recordIds.slice(i, i + RECORD_ID_BATCH_SIZE);
+    for (const record of await list(recordIdFormula(batch))) {
+      byUid.set(uidsByRecordId.get(record.id), record);
+    }
+  }
+  return byUid;
+}
+
+function isEmptyImportValue(value) {
+  return value === undefined || value === null || value === "" || value === false;
+}
+
+function sameImportValue(current, next) {
+  if (isEmptyImportValue(current) || isEmptyImportValue(next)) {
+    return isEmptyImportValue(current) && isEmptyImportValue(next);
+  }
+  return normalizeText(current).trim() === String(next).trim();
+}
+
+async function writeImportedRecords(config, method, records) {
+  const url = airtableTableUrl(config.baseId, config.tableIdOrName);
+  for (let i = 0; i < records.length; i += IMPORT_WRITE_BATCH_SIZE) {
+    // typecast lets Airtable add missing select options (status, time zone).
+    const body = { records: records.slice(i, i + IMPORT_WRITE_BATCH_SIZE), typecast: true };
+    if (dryRun) {
+      printDryRunRequest(method, url, body);
+      continue;
+    }
+    await fetchJson(url, {
+      method,
+      token: config.airtableToken,
+      body,
+      idempotent: method === "PATCH",
+    });
+  }
+}
+
+// Creates or updates one record per VEVENT in `source` (a file or an
+// http(s)/webcal URL). Records are matched by UID, so importing the same
+// calendar again updates the records it created.
+async function runImport(config, source) {
+  const { automationKey, configPath, uidField } = config;
+  if (getGenerator(config.generator).input !== "events") {
+    throw new Error(
+      `Importing builds events, but automationKey "${automationKey}" uses generator "${config.generator}".`
+    );
+  }
+  if (!uidField) {
+    throw new Error(
+      `Importing needs uidField for automationKey "${automationKey}" in ${configPath}, so re-imports can find the records they created.`
+    );
+  }
+  console.log(`Import source: ${source}`);
+  const parsed = parseIcsEvents(await readImportSource(source), {
+    defaultTimeZone: config.timeZone,
+  });
+
+  const eventsByUid = new Map();
+  let skipped = 0;
+  for (const event of parsed) {
+    const label = event.uid || "(no UID)";
+    const sessionOf = recordIdFromSessionUid(event.uid);
+    let reason = "";
+    if (event.error) {
+      reason = event.error;
+    } else if (!event.uid) {
+      reason = "it has no UID";
+    } else if (event.recurrenceId) {
+      reason = "changed single occurrences (RECURRENCE-ID) are not imported";
+    } else if (sessionOf) {
+      // Importing it would overwrite the record with one session's times.
+      reason = `it is a session of record ${sessionOf}; sessions are exported from their record, not imported`;
+    }
+    if (reason) {
+      skipped += 1;
+      console.warn(`Skipping event ${label}: ${reason}`);
+      continue;
+    }
+    // The same UID twice: keep the highest SEQUENCE, or the later one.
+    const seen = eventsByUid.get(event.uid);
+    if (!seen || event.sequence >= seen.sequence) {
+      eventsByUid.set(event.uid, event);
+    }
+  }
+  const events = [...eventsByUid.values()];
+  console.log(`Parsed ${parsed.length} event(s), ${events.length} to import.`);
+
+  const fieldsByUid = new Map(
+    events.map((event) => [event.uid, importedEventFields(config, event)])
+  );
+  const mapped = [...new Set([...fieldsByUid.values()].flatMap((fields) => Object.keys(fields)))];
+  const fieldNames = await importableFieldNames(config, mapped);
+  if (events.length > 0 && !fieldNames.includes(uidField)) {
+    throw new Error(
+      `uidField "${uidField}" must be a writable text field in ${config.tableIdOrName}.`
+    );
+  }
+  const existing = await findImportedRecords(config, [...fieldsByUid.keys()], fieldNames);
+
+  const creates = [];
+  const updates = [];
+  let unchanged = 0;
+  for (const [uid, allFields] of fieldsByUid) {
+    const record = existing.get(uid);
+    const current = record ? recordFields(record) : {};
+    const fields = {};
+    for (const fieldName of fieldNames) {
+      const value = allFields[fieldName];
+      if (fieldName in allFields && !sameImportValue(current[fieldName], value)) {
+        fields[fieldName] = value;
+      }
+    }
+    if (!record) {
+      creates.push({ fields });
+    } else if (Object.keys(fields).length > 0) {
+      updates.push({ id: record.id, fields });
+    } else {
+      unchanged += 1;
+    }
+  }
+
+  await writeImportedRecords(config, "POST", creates);
+  await writeImportedRecords(config, "PATCH", updates);
+  console.log(
+    `Import summary: ${creates.length} ${dryRun ? "to create" : "created"}, ${updates.length} ${
+      dryRun ? "to update" : "updated"
+    }, ${unchanged} unchanged, ${skipped} skipped.`
+  );
+}
+
+// Caches that are meant to live for one run (linked records, base schema).
+// The receiver clears them whenever it starts a job with nothing else running.
+function resetRunCaches() {
+  linkedRecordCache.clear();
+  sessionRecordCache.clear();
+  baseTablesCache.clear();
+  schemaUnavailableBases.clear();
+}
+
+function parsePositiveInteger(value, name, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${name} must be a positive integer, got "${value}".`);
+  }
+  return parsed;
+}
+
+// Long-running alternative to repository_dispatch: accepts the same payload
+// over HTTP and processes records from an in-memory queue.
+// True when strangers who reach the receiver cannot start jobs: requests need
+// RECEIVER_TOKEN, or every automation only accepts signed payloads.
+function receiverIsProtected() {
+  if (optionalEnv("RECEIVER_TOKEN")) {
+    return true;
+  }
+  const { configMap } = parseAutomationConfigFile();
+  return Object.keys(configMap).every((key) =>
+    dispatchSecretEnvNames(key).some((name) => optionalEnv(name))
+  );
+}
+
+async function runServer({ port }) {
+  const listenPort = parsePositiveInteger(
+    port || optionalEnv("PORT"),
+    "--port/PORT",
+    RECEIVER_DEFAULT_PORT
+  );
+  const isProtected = receiverIsProtected();
+  const host = optionalEnv("HOST") || (isProtected ? "0.0.0.0" : "127.0.0.1");
+  if (!isProtected && !LOOPBACK_HOSTS.has(host)) {
+    throw new Error(
+      `Refusing to listen on ${host} without RECEIVER_TOKEN or a DISPATCH_SECRET for every automation: anyone who can reach the port could start jobs.`
+    );
+  }
+  if (!isProtected) {
+    console.warn(
+      "Neither RECEIVER_TOKEN nor dispatch secrets are set; accepting requests from this host only."
+    );
+  }
+  const concurrency = parsePositiveInteger(
+    optionalEnv("RECEIVER_CONCURRENCY"),
+    "RECEIVER_CONCURRENCY",
+    RECEIVER_DEFAULT_CONCURRENCY
+  );
+  replayStateMemory = {};
+
+  const queue = createJobQueue({
+    concurrency,
+    beforeJob: ({ running }) => {
+      if (running === 0) {
+        resetRunCaches();
+      }
+    },
+    runJob: async (config, job) => {
+      console.log(`[job ${job.id}] Processing Airtable record: ${config.recordId}`);
+      try {
+        const { attachmentResult, updatedAt } = await processRecord(config, config.recordId);
+        console.log(`[job ${job.id}] Done: ${attachmentResult.method}`);
+        return { method: attachmentResult.method, updatedAt };
+      } catch (error) {
+        console.error(`[job ${job.id}] Failed: ${error.message}`);
+        throw error;
+      }
+    },
+  });
+
+  const server = createReceiver({
+    queue,
+    token: optionalEnv("RECEIVER_TOKEN"),
+    acceptPayload: async (payload) => {
+      const mode = nonEmptyString(payload.mode);
+      if (mode && mode !== "record") {
+        throw httpError(400, `The receiver only handles record payloads, got mode "${mode}".`);
+      }
+      if (!optionalEnv("AIRTABLE_TOKEN")) {
+        throw httpError(500, "AIRTABLE_TOKEN is not set on the receiver.");
+      }
+      const config = resolveAirtableConfig(payload);
+      try {
+        await authenticateDispatch(config, payload);
+      } catch (error) {
+        throw httpError(401, error.message);
+      }
+      const { automationKey, recordId } = config;
+      return {
+        key: `${automationKey}/${recordId}`,
+        data: config,
+        summary: { automationKey, recordId },
+      };
+    },
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(listenPort, host, resolve);
+  });
+  console.log(`Receiver listening on http://${host}:${listenPort} (concurrency ${concurrency})`);
+
+  // Stop accepting requests on SIGINT/SIGTERM and let running jobs finish.
+  await new Promise((resolve) => {
+    const shutdown = (signal) => {
+      console.log(`${signal} received, waiting for running jobs.`);
+      server.close();
+      const { queued } = queue.stats();
+      if (queued > 0) {
+        console.warn(`Dropping ${queued} queued job(s).`);
+      }
+      queue.close().then(resolve);
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  });
+}
+
+// A record fixture is either an Airtable record ({ "id", "fields" }) as the
+// API returns it, or a plain map of field values.
+function readRecordFixture(filePath) {
+  const absolutePath = path.resolve(filePath);
+  const parsed = readJsonFile(absolutePath);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Record fixture ${absolutePath} must be a JSON object.`);
+  }
+  if (parsed.fields && typeof parsed.fields === "object" && !Array.isArray(parsed.fields)) {
+    return { id: nonEmptyString(parsed.id), fields: parsed.fields };
+  }
+  return { id: "", fields: parsed };
+}
+
+async function main() {
+  const cli = parseCliArgs(process.argv.slice(2));
+  if (cli.recordPath && !cli.dryRun) {
+    throw new Error("--record can only be used with --dry-run.");
+  }
+  dryRun = cli.dryRun;
+
+  const { eventPath, payload } = readDispatchPayload(cli.eventPath, {
+    optional:
+      Boolean(cli.recordPath) ||
+      cli.mode === "sweep" ||
+      cli.mode === "feed" ||
+      cli.mode === "webhooks" ||
+      cli.mode === "validate" ||
+      cli.mode === "gc" ||
+      cli.mode === "import" ||
+      cli.mode === "serve",
+  });
+  const request = {
+    ...payload,
+    mode: cli.mode || nonEmptyString(payload && payload.mode),
+    automationKey: cli.automationKey || nonEmptyString(payload && payload.automationKey),
+  };
+
+  if (eventPath) {
+    console.log(`Event payload file: ${eventPath}`);
+  }
+  if (dryRun) {
+    console.log("Dry run: Airtable and GitHub writes are printed, not sent.");
+  }
+  const configOptions = { requireToken: !dryRun };
+
+  if (request.mode === "sweep") {
+    const config = resolveAutomationConfig(request, configOptions);
+    console.log(`Config file: ${config.configPath}`);
+    console.log(`Automation key: ${config.automationKey}`);
+    if (eventPath) {
+      await authenticateDispatch(config, payload);
+    }
+    await runSweep(config);
+    return;
+  }
+  if (request.mode === "feed") {
+    const config = resolveAutomationConfig(request, configOptions);
+    console.log(`Config file: ${config.configPath}`);
+    console.log(`Automation key: ${config.automationKey}`);
+    if (eventPath) {
+      await authenticateDispatch(config, payload);
+    }
+    await runFeed(config, { outputDir: cli.outputDir || config.feedOutputDir });
+    return;
+  }
+  if (request.mode === "webhooks") {
+    const config = resolveAutomationConfig(request, configOptions);
+    console.log(`Config file: ${config.configPath}`);
+    console.log(`Automation key: ${config.automationKey}`);
+    if (eventPath) {
+      await authenticateDispatch(config, payload);
+    }
+    await runWebhooks(config);
+    return;
+  }
+  if (request.mode === "validate") {
+    await runValidate({ automationKey: request.automationKey, checkAirtable: cli.checkAirtable });
+    return;
+  }
+  if (cli.mode === "gc") {
+    await runGc({
+      automationKey: request.automationKey,
+      maxDeleteFraction: cli.maxDeleteFraction,
+      pruneReleases: cli.pruneReleases,
+    });
+    return;
+  }
+  if (cli.mode === "import") {
+    const config = resolveAutomationConfig(request, configOptions);
+    console.log(`Config file: ${config.configPath}`);
+    console.log(`Automation key: ${config.automationKey}`);
+    await runImport(config, cli.importSource);
+    return;
+  }
+  if (cli.mode === "serve") {
+    await runServer({ port: cli.port });
+    return;
+  }
+  if (request.mode && request.mode !== "record") {
+    throw new Error(
+      `Unknown client_payload.mode "${request.mode}". Dispatches accept "record", "sweep", "feed", "webhooks" or "validate"; "import", "gc" and "serve" are CLI-only (--import=<source>, --gc, --serve).`
+    );
+  }
+
+  const fixture = cli.recordPath ? readRecordFixture(cli.recordPath) : null;
+  if (fixture && !nonEmptyString(request.recordId)) {
+    request.recordId = fixture.id || "recDryRun";
+  }
+
+  const config = {
+    ...resolveAirtableConfig(request, configOptions),
+    icsOutputPath: cli.outputPath,
+  };
+  const { recordId, automationKey, configPath, tableIdOrName } = config;
+
+  console.log(`Config file: ${configPath}`);
+  console.log(`Processing Airtable record: ${recordId}`);
+  if (automationKey) {
+    console.log(`Automation key: ${automationKey}`);
+  }
+  console.log(`Using table: ${tableIdOrName}`);
+  if (fixture) {
+    console.log(`Record fixture: ${path.resolve(cli.recordPath)}`);
+  }
+  if (eventPath) {
+    await authenticateDispatch(config, payload);
+  }
+
+  await processRecord(config, recordId, fixture ? { id: recordId, fields: fixture.fields } : null);
 }
 
 main().catch((error) => {
@@ -0,0 +1,113 @@
+"use strict";
+
+// fetchWithRetry against a local server: 429 with Retry-After, 5xx retries
+// and per-attempt timeouts.
+
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, beforeEach, describe, it } = require("node:test");
+
+const { fetchWithRetry } = require("../lib/http");
+
+// Each request takes the next queued handler; without one it answers 200.
+const handlers = [];
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    requests.push(`${request.method} ${request.url}`);
+    const handler = handlers.shift();
+    if (handler) {
+      handler(response);
+    } else {
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end('{"ok":true}');
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  handlers.length = 0;
+  requests.length = 0;
+});
+
+function status(code, headers = {}) {
+  return (response) => {
+    response.writeHead(code, headers);
+    response.end();
+  };
+}
+
+describe("fetchWithRetry", () => {
+  it("waits for Retry-After and retries a 429", async () => {
+    handlers.push(status(429, { "Retry-After": "1" }));
+    const started = Date.now();
+    const { response, text, attempts } = await fetchWithRetry(`${baseUrl}/rate-limited`);
+    assert.equal(response.status, 200);
+    assert.equal(text, '{"ok":true}');
+    assert.equal(attempts, 2);
+    assert.ok(Date.now() - started >= 1000, "retried before Retry-After elapsed");
+  });
+
+  it("retries a 429 for non-idempotent requests", async () => {
+    handlers.push(status(429, { "Retry-After": "0" }));
+    const { response, attempts } = await fetchWithRetry(`${baseUrl}/upload`, { method: "POST" });
+    assert.equal(response.status, 200);
+    assert.equal(attempts, 2);
+  });
+
+  it("retries 5xx responses for idempotent requests", async () => {
+    handlers.push(status(502), status(503, { "Retry-After": "0" }));
+    const { response, attempts } = await fetchWithRetry(`${baseUrl}/record`);
+    assert.equal(response.status, 200);
+    assert.equal(attempts, 3);
+    assert.deepEqual(requests, ["GET /record", "GET /record", "GET /record"]);
+  });
+
+  it("does not retry 5xx responses for POST", async () => {
+    handlers.push(status(503, { "Retry-After": "0" }));
+    const { response, attempts } = await fetchWithRetry(`${baseUrl}/upload`, { method: "POST" });
+    assert.equal(response.status, 503);
+    assert.equal(attempts, 1);
+  });
+
+  it("retries a PATCH marked idempotent", async () => {
+    handlers.push(status(500, { "Retry-After": "0" }));
+    const { response, attempts } = await fetchWithRetry(
+      `${baseUrl}/record`,
+      { method: "PATCH", body: "{}" },
+      { idempotent: true }
+    );
+    assert.equal(response.status, 200);
+    assert.equal(attempts, 2);
+  });
+
+  it("returns the last response when the attempts run out", async () => {
+    handlers.push(status(503, { "Retry-After": "0" }), status(503, { "Retry-After": "0" }));
+    const { response, attempts } = await fetchWithRetry(`${baseUrl}/down`, {}, { maxAttempts: 2 });
+    assert.equal(response.status, 503);
+    assert.equal(attempts, 2);
+  });
+
+  it("aborts attempts that exceed the timeout", async () => {
+    // Never answered; the connections are closed with the server.
+    handlers.push(
+      () => {},
+      () => {}
+    );
+    await assert.rejects(
+      fetchWithRetry(`${baseUrl}/slow`, {}, { timeoutMs: 100, maxAttempts: 2 }),
+      /GET http:\/\/127\.0\.0\.1:\d+\/slow failed after 2 attempts: timed out after 100 ms/
+    );
+    assert.equal(requests.length, 2);
+  });
+});
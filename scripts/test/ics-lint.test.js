@@ -0,0 +1,129 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { lintIcs, formatIcsProblems } = require("../lib/ics-lint");
+
+const EVENT = [
+  "BEGIN:VEVENT",
+  "UID:event-1@example.org",
+  "DTSTAMP:20260501T000000Z",
+  "DTSTART:20260504T070000Z",
+  "DTEND:20260504T080000Z",
+  "SUMMARY:Workshop",
+  "END:VEVENT",
+];
+
+function calendar(lines = EVENT, { method = "PUBLISH" } = {}) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//test//EN",
+    `METHOD:${method}`,
+    ...lines,
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
+
+function withEvent(replacements) {
+  return calendar(
+    EVENT.flatMap((line) => {
+      const name = line.split(":")[0];
+      return name in replacements ? [replacements[name]].flat().filter(Boolean) : [line];
+    })
+  );
+}
+
+function messages(text) {
+  return lintIcs(text).map(({ line, message }) => `${line}: ${message}`);
+}
+
+describe("lintIcs", () => {
+  it("accepts a valid calendar", () => {
+    assert.deepEqual(lintIcs(calendar()), []);
+  });
+
+  it("reports line endings other than CRLF and a missing final line break", () => {
+    const text = calendar().replace("VERSION:2.0\r\n", "VERSION:2.0\n").replace(/\r\n$/, "");
+    assert.deepEqual(messages(text), [
+      "2: line ends with LF instead of CRLF",
+      "12: the file must end with a line break",
+    ]);
+  });
+
+  it("counts line length in octets and reads folded lines", () => {
+    const long = `SUMMARY:${"é".repeat(34)}`;
+    assert.deepEqual(messages(withEvent({ SUMMARY: long })), [
+      "10: line is 76 octets, more than 75",
+    ]);
+    const folded = `SUMMARY:${"é".repeat(30)}\r\n ${"é".repeat(4)}`;
+    assert.deepEqual(lintIcs(withEvent({ SUMMARY: folded })), []);
+    assert.deepEqual(messages(` continued\r\n${calendar()}`).slice(0, 1), [
+      "1: continuation line without a property",
+    ]);
+  });
+
+  it("requires escaped TEXT values and rejects control characters", () => {
+    assert.deepEqual(messages(withEvent({ SUMMARY: "SUMMARY:Lab, room 1" })), [
+      '10: SUMMARY: unescaped ","',
+    ]);
+    assert.deepEqual(messages(withEvent({ SUMMARY: "SUMMARY:Lab\\tRoom" })), [
+      '10: SUMMARY: invalid escape "\\t"',
+    ]);
+    assert.deepEqual(lintIcs(withEvent({ SUMMARY: "SUMMARY:Lab\\, room 1\\nFloor 2" })), []);
+    assert.deepEqual(messages(withEvent({ SUMMARY: "SUMMARY:Lab\x0bRoom" })), [
+      "10: SUMMARY contains control character U+000B",
+    ]);
+  });
+
+  it("checks structure, required and single properties", () => {
+    assert.deepEqual(messages(withEvent({ UID: null, SUMMARY: ["SUMMARY:A", "SUMMARY:B"] })), [
+      "5: VEVENT is missing UID",
+      "10: SUMMARY appears more than once",
+    ]);
+    assert.deepEqual(messages(calendar([...EVENT.slice(0, -1), "END:VTODO"])), [
+      "1: BEGIN:VCALENDAR is never closed",
+      "5: BEGIN:VEVENT is never closed",
+      "11: END:VTODO does not match BEGIN:VEVENT",
+      "12: END:VCALENDAR does not match BEGIN:VEVENT",
+    ]);
+    assert.deepEqual(messages(`X-NAME:1\r\n${calendar()}`), [
+      "1: the file must start with BEGIN:VCALENDAR",
+      "1: X-NAME is outside BEGIN:VCALENDAR",
+    ]);
+  });
+
+  it("checks event dates and time zones", () => {
+    assert.deepEqual(messages(withEvent({ DTEND: "DTEND:20260504T070000Z" })), [
+      "9: DTEND (20260504T070000Z) must be after DTSTART (20260504T070000Z)",
+    ]);
+    assert.deepEqual(messages(withEvent({ DTEND: "DTEND;VALUE=DATE:20260505" })), [
+      "9: DTEND must be a date when DTSTART is a date, and a date-time otherwise",
+    ]);
+    assert.deepEqual(
+      messages(withEvent({ DTSTART: "DTSTART;TZID=Europe/Berlin:20260504T090000", DTEND: null })),
+      ['8: DTSTART uses TZID "Europe/Berlin" without a VTIMEZONE']
+    );
+    assert.deepEqual(messages(withEvent({ DTEND: ["DTEND:20260504T080000Z", "DURATION:PT1H"] })), [
+      "9: VEVENT has both DTEND and DURATION",
+    ]);
+  });
+
+  it("only lets CANCEL messages leave out DTSTART", () => {
+    const lines = EVENT.filter((line) => !/^DT(START|END)/.test(line));
+    assert.deepEqual(messages(calendar(lines)), ["5: VEVENT is missing DTSTART"]);
+    assert.deepEqual(lintIcs(calendar(lines, { method: "CANCEL" })), []);
+  });
+});
+
+describe("formatIcsProblems", () => {
+  it("lists problems by line and summarizes the rest", () => {
+    const problems = [1, 2, 3].map((line) => ({ line, message: `problem ${line}` }));
+    assert.equal(
+      formatIcsProblems(problems, 2),
+      "  line 1: problem 1\n  line 2: problem 2\n  ... and 1 more"
+    );
+  });
+});
@@ -0,0 +1,202 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const {
+  unfoldIcsLines,
+  parseContentLine,
+  unescapeIcsText,
+  parseIcsDateValue,
+  parseIcsEvents,
+} = require("../lib/ics-parse");
+const { recordIdFromEventUid, recordIdFromSessionUid } = require("../lib/ics");
+
+function calendar(...lines) {
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR", ""].join("\r\n");
+}
+
+describe("unfoldIcsLines", () => {
+  it("joins continuation lines and drops blank lines and the BOM", () => {
+    const lines = unfoldIcsLines("\uFEFFSUMMARY:Long\r\n  title\r\n\r\nLOCATION:Room\n\tA\n");
+    assert.deepEqual(lines, ["SUMMARY:Long title", "LOCATION:RoomA"]);
+  });
+
+  it("keeps a multi-byte character that was folded between its octets", () => {
+    const octets = Buffer.from("SUMMARY:Café", "utf8");
+    const folded = Buffer.concat([
+      octets.subarray(0, octets.length - 1),
+      Buffer.from("\r\n "),
+      octets.subarray(octets.length - 1),
+    ]);
+    assert.deepEqual(unfoldIcsLines(folded), ["SUMMARY:Café"]);
+  });
+});
+
+describe("parseContentLine", () => {
+  it("splits the name, parameters and value", () => {
+    assert.deepEqual(
+      parseContentLine("dtstart;tzid=Europe/Berlin;VALUE=DATE-TIME:20260504T090000"),
+      {
+        name: "DTSTART",
+        params: { TZID: "Europe/Berlin", VALUE: "DATE-TIME" },
+        value: "20260504T090000",
+      }
+    );
+  });
+
+  it("reads quoted parameter values with colons and semicolons", () => {
+    const property = parseContentLine('ORGANIZER;CN="Lab; Room 1:2":mailto:lab@example.org');
+    assert.deepEqual(property.params, { CN: "Lab; Room 1:2" });
+    assert.equal(property.value, "mailto:lab@example.org");
+  });
+
+  it("returns null for lines without a value", () => {
+    assert.equal(parseContentLine("NOT A PROPERTY"), null);
+  });
+});
+
+describe("unescapeIcsText", () => {
+  it("unescapes backslashes, separators and newlines", () => {
+    assert.equal(unescapeIcsText("a\\, b\\; c\\\\d\\ne\\Nf"), "a, b; c\\d\ne\nf");
+  });
+});
+
+describe("parseIcsDateValue", () => {
+  it("reads dates as UTC midnight", () => {
+    const { date, dateOnly } = parseIcsDateValue("20260504", { VALUE: "DATE" });
+    assert.equal(date.toISOString(), "2026-05-04T00:00:00.000Z");
+    assert.equal(dateOnly, true);
+  });
+
+  it("resolves TZID, prefixed and Windows zone names", () => {
+    const berlin = parseIcsDateValue("20260504T090000", { TZID: "Europe/Berlin" });
+    assert.equal(berlin.date.toISOString(), "2026-05-04T07:00:00.000Z");
+    assert.equal(berlin.timeZone, "Europe/Berlin");
+    const prefixed = parseIcsDateValue("20260504T090000", {
+      TZID: "/mozilla.org/20050126_1/Europe/Berlin",
+    });
+    assert.equal(prefixed.timeZone, "Europe/Berlin");
+    const windows = parseIcsDateValue("20260504T090000", { TZID: "Pacific Standard Time" });
+    assert.equal(windows.date.toISOString(), "2026-05-04T16:00:00.000Z");
+  });
+
+  it("reads floating times in the default time zone, or as UTC", () => {
+    const local = parseIcsDateValue("20260115T090000", {}, { defaultTimeZone: "Europe/Berlin" });
+    assert.equal(local.date.toISOString(), "2026-01-15T08:00:00.000Z");
+    assert.equal(local.timeZone, "");
+    assert.equal(
+      parseIcsDateValue("20260115T090000", {}).date.toISOString(),
+      "2026-01-15T09:00:00.000Z"
+    );
+  });
+
+  it("rejects unknown zones and malformed values", () => {
+    assert.throws(
+      () => parseIcsDateValue("20260504T090000", { TZID: "Mars/Olympus" }),
+      /Unknown TZID/
+    );
+    assert.throws(() => parseIcsDateValue("2026-05-04", {}), /Invalid ICS date-time/);
+    assert.throws(() => parseIcsDateValue("20260504T0900", { VALUE: "DATE" }), /Invalid ICS date/);
+  });
+});
+
+describe("parseIcsEvents", () => {
+  it("turns VEVENTs into events and ignores other components", () => {
+    const events = parseIcsEvents(
+      calendar(
+        "BEGIN:VTIMEZONE",
+        "TZID:Europe/Berlin",
+        "BEGIN:STANDARD",
+        "DTSTART:19701025T030000",
+        "END:STANDARD",
+        "END:VTIMEZONE",
+        "BEGIN:VEVENT",
+        "UID:event-1@example.org",
+        "SUMMARY:Lab\\, meeting",
+        "DESCRIPTION:Line one\\nLine two",
+        "LOCATION:Room 1",
+        "STATUS:tentative",
+        "SEQUENCE:3",
+        "DTSTART;TZID=Europe/Berlin:20260504T090000",
+        "DURATION:PT1H30M",
+        "RRULE:FREQ=WEEKLY;COUNT=4",
+        "EXDATE;TZID=Europe/Berlin:20260511T090000,20260518T090000",
+        "BEGIN:VALARM",
+        "TRIGGER:-PT15M",
+        "END:VALARM",
+        "END:VEVENT"
+      )
+    );
+    assert.equal(events.length, 1);
+    const [event] = events;
+    assert.equal(event.uid, "event-1@example.org");
+    assert.equal(event.summary, "Lab, meeting");
+    assert.equal(event.description, "Line one\nLine two");
+    assert.equal(event.location, "Room 1");
+    assert.equal(event.status, "TENTATIVE");
+    assert.equal(event.sequence, 3);
+    assert.equal(event.allDay, false);
+    assert.equal(event.timeZone, "Europe/Berlin");
+    assert.equal(event.startDate.toISOString(), "2026-05-04T07:00:00.000Z");
+    assert.equal(event.endDate.toISOString(), "2026-05-04T08:30:00.000Z");
+    assert.equal(event.rrule, "FREQ=WEEKLY;COUNT=4");
+    assert.deepEqual(
+      event.exceptionDates.map((date) => date.toISOString()),
+      ["2026-05-11T07:00:00.000Z", "2026-05-18T07:00:00.000Z"]
+    );
+    assert.equal(event.recurrenceId, false);
+  });
+
+  it("gives date-only events without an end one day", () => {
+    const [event] = parseIcsEvents(
+      calendar("BEGIN:VEVENT", "UID:day", "DTSTART;VALUE=DATE:20260504", "END:VEVENT")
+    );
+    assert.equal(event.allDay, true);
+    assert.equal(event.endDate.toISOString(), "2026-05-05T00:00:00.000Z");
+  });
+
+  it("reports events that cannot be parsed and keeps going", () => {
+    const events = parseIcsEvents(
+      calendar(
+        "BEGIN:VEVENT",
+        "UID:no-start",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:bad-zone",
+        "DTSTART;TZID=Mars/Olympus:20260504T090000",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:moved",
+        "RECURRENCE-ID:20260511T070000Z",
+        "DTSTART:20260512T070000Z",
+        "END:VEVENT"
+      )
+    );
+    assert.deepEqual(events.slice(0, 2), [
+      { uid: "no-start", error: "Event no-start has no DTSTART." },
+      { uid: "bad-zone", error: 'Unknown TZID "Mars/Olympus"; use an IANA time zone name.' },
+    ]);
+    assert.equal(events[2].recurrenceId, true);
+  });
+});
+
+describe("exported UIDs", () => {
+  it("names the record of record and session UIDs", () => {
+    assert.equal(
+      recordIdFromEventUid("airtable-recAAAAAAAAAAAAA1@airtable-wf"),
+      "recAAAAAAAAAAAAA1"
+    );
+    assert.equal(recordIdFromEventUid("airtable-recAAAAAAAAAAAAA1-2@airtable-wf"), "");
+    assert.equal(
+      recordIdFromSessionUid("airtable-recAAAAAAAAAAAAA1-recBBBBBBBBBBBBB2@airtable-wf"),
+      "recAAAAAAAAAAAAA1"
+    );
+    assert.equal(
+      recordIdFromSessionUid("airtable-recAAAAAAAAAAAAA1-2@airtable-wf"),
+      "recAAAAAAAAAAAAA1"
+    );
+    assert.equal(recordIdFromSessionUid("airtable-recAAAAAAAAAAAAA1@airtable-wf"), "");
+    assert.equal(recordIdFromSessionUid("event-1@example.org"), "");
+  });
+});
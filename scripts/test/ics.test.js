@@ -0,0 +1,78 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { escapeIcsText, foldIcsLine, buildIcs } = require("../lib/ics");
+const { lintIcs } = require("../lib/ics-lint");
+const { unfoldIcsLines, unescapeIcsText, parseIcsEvents } = require("../lib/ics-parse");
+
+function octets(text) {
+  return Buffer.byteLength(text, "utf8");
+}
+
+describe("foldIcsLine", () => {
+  it("leaves lines of up to 75 octets alone", () => {
+    const line = `SUMMARY:${"a".repeat(67)}`;
+    assert.equal(foldIcsLine(line), line);
+  });
+
+  it("folds by octets, counting the leading space of continuation lines", () => {
+    const folded = foldIcsLine(`DESCRIPTION:${"a".repeat(200)}`);
+    const lines = folded.split("\r\n");
+    // 212 octets: 75, then a space and 74 more, then a space and the last 63.
+    assert.deepEqual(lines.map(octets), [75, 75, 64]);
+    assert.ok(lines.slice(1).every((line) => line.startsWith(" ")));
+    assert.deepEqual(unfoldIcsLines(folded), [`DESCRIPTION:${"a".repeat(200)}`]);
+  });
+
+  it("never splits a multi-byte character", () => {
+    // 8 ASCII octets, then 2-octet "é" and 4-octet emoji that do not line up with 75.
+    const text = `SUMMARY:${"é😀".repeat(30)}`;
+    const lines = foldIcsLine(text).split("\r\n");
+    for (const line of lines) {
+      assert.ok(octets(line) <= 75, `${octets(line)} octets`);
+      assert.ok(!line.includes("�"));
+      assert.equal(Buffer.from(line, "utf8").toString("utf8"), line);
+    }
+    assert.equal(octets(lines[0]), 74);
+    assert.equal(lines.map((line, index) => (index ? line.slice(1) : line)).join(""), text);
+  });
+});
+
+describe("escapeIcsText", () => {
+  it("escapes backslashes, separators and every style of line break", () => {
+    assert.equal(escapeIcsText("a\\b; c, d\r\ne\nf\rg"), "a\\\\b\\; c\\, d\\ne\\nf\\ng");
+  });
+
+  it("round-trips through unescaping", () => {
+    const text = "Room 1; floor 2, left\\right\nNext line";
+    assert.equal(unescapeIcsText(escapeIcsText(text)), text);
+  });
+});
+
+describe("buildIcs", () => {
+  it("builds calendars that pass the lint and parse back", () => {
+    const description = `Ünïcödé; text, with\nbreaks and ${"long words 😀 ".repeat(20)}`;
+    const ics = buildIcs([
+      {
+        recordId: "recAAAAAAAAAAAAA1",
+        eventName: "Café, séminaire",
+        allDay: false,
+        timeZone: "Europe/Copenhagen",
+        startDate: new Date("2026-05-04T07:00:00Z"),
+        endDate: new Date("2026-05-04T08:00:00Z"),
+        location: "Room 1; floor 2",
+        description,
+      },
+    ]);
+    assert.deepEqual(lintIcs(ics), []);
+    const [event] = parseIcsEvents(Buffer.from(ics, "utf8"));
+    assert.equal(event.uid, "airtable-recAAAAAAAAAAAAA1@airtable-wf");
+    assert.equal(event.summary, "Café, séminaire");
+    assert.equal(event.location, "Room 1; floor 2");
+    assert.equal(event.description, description.trim());
+    assert.equal(event.timeZone, "Europe/Copenhagen");
+    assert.equal(event.startDate.toISOString(), "2026-05-04T07:00:00.000Z");
+  });
+});
@@ -0,0 +1,156 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { planInvitations, buildInvitationMessage } = require("../lib/invitations");
+const { lintIcs } = require("../lib/ics-lint");
+
+const ORGANIZER = { name: "Lab", email: "lab@example.org" };
+const UID = "airtable-recAAAAAAAAAAAAA1@airtable-wf";
+const SESSION_UID = "airtable-recAAAAAAAAAAAAA1-2@airtable-wf";
+
+function event(fields = {}) {
+  return {
+    recordId: "recAAAAAAAAAAAAA1",
+    eventName: "Workshop",
+    allDay: false,
+    timeZone: "",
+    startDate: new Date("2026-05-04T07:00:00Z"),
+    endDate: new Date("2026-05-04T08:00:00Z"),
+    location: "",
+    description: "",
+    organizer: ORGANIZER,
+    attendees: [
+      { name: "Ada", email: "ada@example.org" },
+      { name: "Bo", email: "bo@example.org" },
+    ],
+    ...fields,
+  };
+}
+
+function plan(events, state = {}, organizer = ORGANIZER) {
+  return planInvitations(events, state, { organizer });
+}
+
+// The state after every planned message was sent.
+function applySends(state, sends) {
+  const next = { ...state };
+  for (const send of sends) {
+    if (send.entry === null) {
+      delete next[send.uid];
+    } else {
+      next[send.uid] = send.entry;
+    }
+  }
+  return next;
+}
+
+function unfold(calendar) {
+  return calendar.replace(/\r\n /g, "");
+}
+
+function summary(sends) {
+  return sends.map(({ uid, method, recipients }) => ({ uid, method, recipients }));
+}
+
+describe("planInvitations", () => {
+  it("sends a REQUEST once and nothing for unchanged events", () => {
+    const sends = plan([event()]);
+    assert.deepEqual(summary(sends), [
+      { uid: UID, method: "REQUEST", recipients: ["ada@example.org", "bo@example.org"] },
+    ]);
+    assert.deepEqual(lintIcs(sends[0].calendar), []);
+    assert.match(sends[0].calendar, /METHOD:REQUEST\r\n/);
+    assert.deepEqual(plan([event()], applySends({}, sends)), []);
+  });
+
+  it("sends an update with a higher SEQUENCE when the event changes", () => {
+    const state = applySends({}, plan([event()]));
+    const [update] = plan([event({ location: "Room 2" })], state);
+    assert.equal(update.method, "REQUEST");
+    assert.equal(update.update, true);
+    assert.equal(update.entry.sequence, 1);
+    assert.match(update.calendar, /SEQUENCE:1\r\n/);
+  });
+
+  it("cancels removed attendees before updating the rest", () => {
+    const state = applySends({}, plan([event()]));
+    const sends = plan([event({ attendees: [{ name: "Ada", email: "ada@example.org" }] })], state);
+    assert.deepEqual(summary(sends), [
+      { uid: UID, method: "CANCEL", recipients: ["bo@example.org"] },
+      { uid: UID, method: "REQUEST", recipients: ["ada@example.org"] },
+    ]);
+    const [cancel] = sends;
+    assert.match(cancel.calendar, /METHOD:CANCEL\r\n/);
+    assert.match(unfold(cancel.calendar), /^ATTENDEE;.*:mailto:bo@example\.org\r$/m);
+    assert.doesNotMatch(cancel.calendar, /ada@example\.org/);
+    // Sent on its own, the CANCEL already drops the attendee from the state.
+    assert.deepEqual(cancel.entry.recipients, ["ada@example.org"]);
+    assert.deepEqual(lintIcs(cancel.calendar), []);
+  });
+
+  it("cancels a cancelled event for everyone who was invited", () => {
+    const state = applySends({}, plan([event()]));
+    const [cancel, ...rest] = plan([event({ status: "CANCELLED" })], state);
+    assert.deepEqual(rest, []);
+    assert.equal(cancel.method, "CANCEL");
+    assert.deepEqual(cancel.recipients, ["ada@example.org", "bo@example.org"]);
+    assert.equal(cancel.entry.method, "CANCEL");
+    assert.match(cancel.calendar, /STATUS:CANCELLED\r\n/);
+    // Nothing more once the CANCEL is recorded.
+    assert.deepEqual(plan([event({ status: "CANCELLED" })], applySends(state, [cancel])), []);
+  });
+
+  it("does not cancel events that were never sent", () => {
+    assert.deepEqual(plan([event({ status: "CANCELLED" })]), []);
+    assert.deepEqual(plan([event({ attendees: [] })]), []);
+  });
+
+  it("cancels a removed session and drops it from the state", () => {
+    const sessions = [event(), event({ uid: SESSION_UID, eventName: "Workshop, day 2" })];
+    const state = applySends({}, plan(sessions));
+    const sends = plan([sessions[0]], state);
+    assert.deepEqual(summary(sends), [
+      { uid: SESSION_UID, method: "CANCEL", recipients: ["ada@example.org", "bo@example.org"] },
+    ]);
+    const [cancel] = sends;
+    assert.equal(cancel.entry, null);
+    assert.equal(cancel.summary, "Workshop, day 2");
+    assert.match(cancel.calendar, /UID:airtable-recAAAAAAAAAAAAA1-2@airtable-wf\r\n/);
+    assert.match(cancel.calendar, /SEQUENCE:1\r\n/);
+    assert.match(cancel.calendar, /ORGANIZER;CN=Lab:mailto:lab@example\.org\r\n/);
+    assert.deepEqual(lintIcs(cancel.calendar), []);
+    assert.deepEqual(plan([sessions[0]], applySends(state, sends)), []);
+  });
+
+  it("plans a removed session's CANCEL without an organizer", () => {
+    const state = applySends({}, plan([event({ uid: SESSION_UID })]));
+    const [cancel] = plan([], state, null);
+    assert.equal(cancel.method, "CANCEL");
+    assert.doesNotMatch(cancel.calendar, /ORGANIZER/);
+  });
+});
+
+describe("buildInvitationMessage", () => {
+  it("carries the text and calendar parts with the iTIP method", () => {
+    const [send] = plan([event()]);
+    const from = { name: "Bookings", email: "bookings@example.org" };
+    const message = buildInvitationMessage(send, { from, organizer: ORGANIZER });
+    const [head] = message.split("\r\n\r\n");
+    assert.match(head, /^From: "Bookings" <bookings@example\.org>\r\n/);
+    assert.match(head, /\r\nTo: ada@example\.org, bo@example\.org\r\n/);
+    assert.match(head, /\r\nReply-To: "Lab" <lab@example\.org>\r\n/);
+    assert.match(head, /\r\nSubject: Invitation: Workshop\r\n/);
+    assert.match(message, /Content-Type: text\/calendar; charset=utf-8; method=REQUEST\r\n/);
+    const [, encoded] = message.match(/method=REQUEST\r\n[^\r]+\r\n\r\n([^-]+)--/);
+    assert.equal(Buffer.from(encoded, "base64").toString("utf8"), send.calendar);
+  });
+
+  it("encodes non-ASCII subjects as RFC 2047 words", () => {
+    const [send] = plan([event({ eventName: "Café séminaire" })]);
+    const message = buildInvitationMessage(send, { from: ORGANIZER, organizer: ORGANIZER });
+    assert.match(message, /\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+    assert.doesNotMatch(message, /Reply-To/);
+  });
+});
@@ -0,0 +1,377 @@
+"use strict";
+
+// Runs the processor against a local Airtable stand-in (AIRTABLE_API_URL and
+// AIRTABLE_CONTENT_URL) with local-dir storage for the URL fallback, and a
+// GitHub contents API stand-in (GITHUB_API_URL) for git-branch storage and the
+// dispatch replay state.
+
+const assert = require("node:assert/strict");
+const { execFile } = require("node:child_process");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, beforeEach, describe, it } = require("node:test");
+
+const { signDispatch } = require("../lib/dispatch-auth");
+
+const SCRIPT = path.join(__dirname, "..", "process-airtable-event.js");
+const RECORD_ID = "recAAAAAAAAAAAAA1";
+const FALLBACK_URL = "https://files.example.org/ics";
+
+let server;
+let baseUrl;
+let workDir;
+let records;
+let requests;
+// Faults answer the first request they match, once: { method, path, status, headers }.
+let faults;
+// Files on the GitHub branch by path: { sha, content }.
+let contents;
+// Contents GETs are held until this many have arrived, so concurrent runs
+// read the same state.
+let contentsBarrier;
+let heldReads;
+
+function readBody(request) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function sendJson(response, status, data, headers = {}) {
+  response.writeHead(status, { "Content-Type": "application/json", ...headers });
+  response.end(JSON.stringify(data));
+}
+
+async function handle(request, response) {
+  const url = new URL(request.url, baseUrl);
+  const body = await readBody(request);
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  requests.push({ method: request.method, path: url.pathname, body });
+
+  const faultIndex = faults.findIndex(
+    (fault) => fault.method === request.method && url.pathname.endsWith(fault.path)
+  );
+  if (faultIndex !== -1) {
+    const [fault] = faults.splice(faultIndex, 1);
+    if (fault.status === 0) {
+      request.socket.destroy();
+      return;
+    }
+    sendJson(response, fault.status, { error: { type: "MOCK_FAULT" } }, fault.headers);
+    return;
+  }
+
+  if (parts[0] === "repos") {
+    handleContents(request, response, parts.slice(4).join("/"), body);
+    return;
+  }
+  // Content API: POST /v0/<baseId>/<recordId>/<field>/uploadAttachment
+  if (parts[4] === "uploadAttachment") {
+    const [, , recordId, field] = parts;
+    const { filename } = JSON.parse(body.toString("utf8"));
+    const attachment = { id: "attUploaded", url: "https://dl.example.org/a.ics", filename };
+    records[recordId][field] = [...(records[recordId][field] || []), attachment];
+    sendJson(response, 200, { id: recordId, fields: records[recordId] });
+    return;
+  }
+  if (parts[1] === "meta") {
+    const fields = [{ id: "fldUpdated", name: "Updated", type: "dateTime" }];
+    sendJson(response, 200, { tables: [{ id: "tblEvents", name: "Events", fields }] });
+    return;
+  }
+  // Records API: GET and PATCH /v0/<baseId>/<table>/<recordId>
+  const recordId = parts[3];
+  if (!records[recordId]) {
+    sendJson(response, 404, { error: "NOT_FOUND" });
+  } else if (request.method === "GET") {
+    sendJson(response, 200, { id: recordId, fields: records[recordId] });
+  } else if (request.method === "PATCH") {
+    Object.assign(records[recordId], JSON.parse(body.toString("utf8")).fields);
+    sendJson(response, 200, { id: recordId, fields: records[recordId] });
+  } else {
+    sendJson(response, 405, { error: "METHOD_NOT_ALLOWED" });
+  }
+}
+
+function handleContents(request, response, filePath, body) {
+  const file = contents.get(filePath);
+  if (request.method === "GET") {
+    const answer = () =>
+      file
+        ? sendJson(response, 200, { sha: file.sha, content: file.content })
+        : sendJson(response, 404, { message: "Not Found" });
+    heldReads.push(answer);
+    if (heldReads.length >= contentsBarrier) {
+      contentsBarrier = 0;
+      heldReads.splice(0).forEach((read) => read());
+    }
+    return;
+  }
+  const { sha, content } = JSON.parse(body.toString("utf8"));
+  if (file ? sha !== file.sha : sha) {
+    sendJson(response, 409, { message: `${filePath} does not match ${sha}` });
+  } else if (file && !sha) {
+    sendJson(response, 422, { message: '"sha" wasn\'t supplied' });
+  } else {
+    const next = { sha: `sha${contents.size}${Date.now()}`, content };
+    contents.set(filePath, next);
+    sendJson(response, 200, { content: { sha: next.sha } });
+  }
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    handle(request, response).catch((error) => sendJson(response, 500, { error: error.message }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "airtable-wf-test-"));
+  const config = {
+    events: {
+      baseId: "appTEST",
+      tableName: "Events",
+      eventNameField: "Name",
+      icsField: "ICS",
+      updatedAtField: "Updated",
+      storage: "local-dir",
+      storagePath: path.join(workDir, "public"),
+      storageBaseUrl: FALLBACK_URL,
+    },
+  };
+  config.branch = { ...config.events, storage: "git-branch", storagePath: "ics" };
+  delete config.branch.storageBaseUrl;
+  fs.writeFileSync(path.join(workDir, "config.json"), JSON.stringify(config));
+  fs.writeFileSync(
+    path.join(workDir, "event.json"),
+    JSON.stringify({ client_payload: { recordId: RECORD_ID, automationKey: "events" } })
+  );
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  records = {
+    [RECORD_ID]: {
+      Name: "Workshop",
+      Start: "2026-05-04T07:00:00.000Z",
+      End: "2026-05-04T08:00:00.000Z",
+    },
+  };
+  requests = [];
+  faults = [];
+  contents = new Map();
+  contentsBarrier = 0;
+  heldReads = [];
+  fs.rmSync(path.join(workDir, "public"), { recursive: true, force: true });
+});
+
+// Resolves with { code, stdout, stderr } instead of rejecting on failure.
+function runProcessor({ env: extraEnv = {}, eventPath = path.join(workDir, "event.json") } = {}) {
+  const env = {
+    PATH: process.env.PATH,
+    AIRTABLE_TOKEN: "patTEST",
+    AIRTABLE_API_URL: baseUrl,
+    AIRTABLE_CONTENT_URL: baseUrl,
+    AIRTABLE_CONFIG_PATH: path.join(workDir, "config.json"),
+    ...extraEnv,
+  };
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [SCRIPT, eventPath],
+      { env, timeout: 60 * 1000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+}
+
+function requestLines() {
+  return requests.map(({ method, path: requestPath }) => `${method} ${requestPath}`);
+}
+
+function patches() {
+  return requests
+    .filter(({ method }) => method === "PATCH")
+    .map(({ body }) => JSON.parse(body.toString("utf8")).fields);
+}
+
+describe("record sync against a local Airtable", () => {
+  it("uploads the ICS and PATCHes the attachment", async () => {
+    const { code, stderr } = await runProcessor();
+    assert.equal(code, 0, stderr);
+    assert.deepEqual(requestLines(), [
+      `GET /v0/appTEST/Events/${RECORD_ID}`,
+      "GET /v0/meta/bases/appTEST/tables",
+      `POST /v0/appTEST/${RECORD_ID}/ICS/uploadAttachment`,
+      `PATCH /v0/appTEST/Events/${RECORD_ID}`,
+    ]);
+    const [fields] = patches();
+    assert.deepEqual(fields.ICS, [{ id: "attUploaded" }]);
+    assert.match(fields.Updated, /^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it("retries a rate-limited record fetch after Retry-After", async () => {
+    faults.push({ method: "GET", path: RECORD_ID, status: 429, headers: { "Retry-After": "0" } });
+    const { code, stderr } = await runProcessor();
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /returned 429; retrying in 0 ms/);
+    const recordFetches = requestLines().filter(
+      (line) => line === `GET /v0/appTEST/Events/${RECORD_ID}`
+    );
+    assert.equal(recordFetches.length, 2);
+  });
+
+  it("retries a record fetch that fails with 5xx", async () => {
+    faults.push({ method: "GET", path: RECORD_ID, status: 502 });
+    const { code, stderr } = await runProcessor();
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /returned 502; retrying/);
+  });
+
+  it("retries a record fetch whose connection drops", async () => {
+    faults.push({ method: "GET", path: RECORD_ID, status: 0 });
+    const { code, stderr } = await runProcessor();
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /GET \S+ failed \(.+\); retrying/);
+  });
+
+  it("fails after the record fetch runs out of attempts", async () => {
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      faults.push({ method: "GET", path: RECORD_ID, status: 429, headers: { "Retry-After": "0" } });
+    }
+    const { code, stderr } = await runProcessor();
+    assert.equal(code, 1);
+    assert.match(stderr, /failed \(429\) after 4 attempts/);
+  });
+
+  it("falls back to URL storage when the upload fails", async () => {
+    faults.push({ method: "POST", path: "uploadAttachment", status: 503 });
+    const { code, stdout, stderr } = await runProcessor();
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /Direct Airtable upload failed, trying URL fallback/);
+    assert.match(stdout, /local_dir_url/);
+    // 5xx responses to the upload POST are not retried.
+    assert.equal(requestLines().filter((line) => line.startsWith("POST")).length, 1);
+
+    const filename = `${RECORD_ID}.ics`;
+    const ics = fs.readFileSync(path.join(workDir, "public", filename), "utf8");
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /SUMMARY:Workshop\r\n/);
+    const [fields] = patches();
+    assert.deepEqual(fields.ICS, [{ url: `${FALLBACK_URL}/${filename}`, filename }]);
+  });
+
+  it("falls back to URL storage when the attachment PATCH fails", async () => {
+    faults.push({ method: "PATCH", path: RECORD_ID, status: 422 });
+    const { code, stderr } = await runProcessor();
+    assert.equal(code, 0, stderr);
+    assert.match(
+      stderr,
+      /Attachment PATCH failed, trying URL fallback. Reason: PATCH \S+ failed \(422\)/
+    );
+    const filename = `${RECORD_ID}.ics`;
+    assert.ok(fs.existsSync(path.join(workDir, "public", filename)));
+    const [combined, fieldsOnly, fallback] = patches();
+    assert.deepEqual(combined.ICS, [{ id: "attUploaded" }]);
+    assert.deepEqual(Object.keys(fieldsOnly), ["Updated"]);
+    assert.deepEqual(fallback.ICS, [{ url: `${FALLBACK_URL}/${filename}`, filename }]);
+  });
+
+  it("fails without the URL fallback when a field value is rejected", async () => {
+    faults.push(
+      { method: "PATCH", path: RECORD_ID, status: 422 },
+      { method: "PATCH", path: RECORD_ID, status: 422 }
+    );
+    const { code, stderr } = await runProcessor();
+    assert.equal(code, 1);
+    assert.match(stderr, /PATCH \S+ failed \(422\)/);
+    assert.doesNotMatch(stderr, /URL fallback/);
+    assert.equal(patches().length, 2);
+    assert.ok(!fs.existsSync(path.join(workDir, "public")));
+  });
+});
+
+describe("git-branch storage", () => {
+  it("commits the fallback file and links its raw URL, retrying conflicts", async () => {
+    const eventPath = path.join(workDir, "branch-event.json");
+    const payload = { recordId: RECORD_ID, automationKey: "branch" };
+    fs.writeFileSync(eventPath, JSON.stringify({ client_payload: payload }));
+    const filename = `${RECORD_ID}.ics`;
+    faults.push({ method: "POST", path: "uploadAttachment", status: 503 });
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      faults.push({ method: "PUT", path: filename, status: 409 });
+    }
+    const { code, stdout, stderr } = await runProcessor({
+      env: { GITHUB_TOKEN: "ghTEST", GITHUB_REPOSITORY: "owner/repo", GITHUB_API_URL: baseUrl },
+      eventPath,
+    });
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /git_branch_url/);
+    const puts = requestLines().filter((line) => line.startsWith("PUT"));
+    assert.equal(puts.length, 4);
+    assert.ok(contents.has(`ics/${filename}`));
+    const [fields] = patches();
+    const url = `https://raw.githubusercontent.com/owner/repo/gh-pages/ics/${filename}`;
+    assert.deepEqual(fields.ICS, [{ url, filename }]);
+  });
+});
+
+describe("signed dispatches", () => {
+  const env = () => ({
+    DISPATCH_SECRET: "test-secret",
+    DISPATCH_REPLAY_BRANCH: "dispatch-state",
+    GITHUB_TOKEN: "ghTEST",
+    GITHUB_REPOSITORY: "owner/repo",
+    GITHUB_API_URL: baseUrl,
+  });
+
+  function writeSignedEvent(fields = {}) {
+    const payload = {
+      recordId: RECORD_ID,
+      automationKey: "events",
+      timestamp: Math.floor(Date.now() / 1000),
+      nonce: `nonce-${Math.random()}`,
+      ...fields,
+    };
+    payload.signature = signDispatch("test-secret", payload);
+    const eventPath = path.join(workDir, "signed-event.json");
+    fs.writeFileSync(eventPath, JSON.stringify({ client_payload: payload }));
+    return eventPath;
+  }
+
+  it("rejects a payload whose tableName was changed after signing", async () => {
+    const eventPath = writeSignedEvent();
+    const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+    event.client_payload.tableName = "Other";
+    fs.writeFileSync(eventPath, JSON.stringify(event));
+    const { code, stderr } = await runProcessor({ env: env(), eventPath });
+    assert.equal(code, 1);
+    assert.match(stderr, /Dispatch signature does not match the payload/);
+    assert.deepEqual(requests, []);
+  });
+
+  it("accepts a replayed signature only once, even from concurrent runs", async () => {
+    const eventPath = writeSignedEvent({ tableName: "Events" });
+    contentsBarrier = 2;
+    const results = await Promise.all([
+      runProcessor({ env: env(), eventPath }),
+      runProcessor({ env: env(), eventPath }),
+    ]);
+    const codes = results.map(({ code }) => code).sort();
+    assert.deepEqual(codes, [0, 1]);
+    const rejected = results.find(({ code }) => code === 1);
+    assert.match(rejected.stderr, /already processed \(replayed signature\)/);
+
+    const file = contents.get("dispatch-replay-state.json");
+    const seen = JSON.parse(Buffer.from(file.content, "base64").toString("utf8"));
+    assert.equal(Object.keys(seen).length, 1);
+  });
+});
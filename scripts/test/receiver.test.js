@@ -0,0 +1,115 @@
+"use strict";
+
+// Starts the processor's HTTP receiver (--serve) and checks who may use it.
+
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, describe, it } = require("node:test");
+
+const SCRIPT = path.join(__dirname, "..", "process-airtable-event.js");
+
+let workDir;
+
+before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "airtable-wf-receiver-"));
+  const config = {
+    events: { baseId: "appTEST", tableName: "Events", icsField: "ICS", updatedAtField: "Updated" },
+  };
+  fs.writeFileSync(path.join(workDir, "config.json"), JSON.stringify(config));
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves with the receiver process once it listens, or with its output if
+// it exits first.
+function startReceiver(env) {
+  const child = spawn(process.execPath, [SCRIPT, "--serve"], {
+    env: {
+      PATH: process.env.PATH,
+      AIRTABLE_CONFIG_PATH: path.join(workDir, "config.json"),
+      ...env,
+    },
+  });
+  let output = "";
+  return new Promise((resolve) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Receiver listening on")) {
+        resolve({ child, output });
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => resolve({ child: null, code, output }));
+  });
+}
+
+function stopReceiver(child) {
+  return new Promise((resolve) => {
+    child.on("exit", resolve);
+    child.kill("SIGTERM");
+  });
+}
+
+describe("receiver", () => {
+  it("refuses a public address without a token or dispatch secrets", async () => {
+    const port = await freePort();
+    const { child, code, output } = await startReceiver({ HOST: "0.0.0.0", PORT: String(port) });
+    assert.equal(child, null);
+    assert.equal(code, 1);
+    assert.match(output, /Refusing to listen on 0\.0\.0\.0 without RECEIVER_TOKEN/);
+  });
+
+  it("listens on 127.0.0.1 by default without a token or dispatch secrets", async () => {
+    const port = await freePort();
+    const { child, output } = await startReceiver({ PORT: String(port) });
+    assert.ok(child, output);
+    try {
+      assert.match(output, /accepting requests from this host only/);
+      assert.match(output, new RegExp(`listening on http://127\\.0\\.0\\.1:${port}`));
+    } finally {
+      await stopReceiver(child);
+    }
+  });
+
+  it("answers 500 when AIRTABLE_TOKEN is missing on the server", async () => {
+    const port = await freePort();
+    const { child, output } = await startReceiver({
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      RECEIVER_TOKEN: "receiver-secret",
+    });
+    assert.ok(child, output);
+    try {
+      const url = `http://127.0.0.1:${port}/dispatch`;
+      const body = JSON.stringify({ recordId: "recAAAAAAAAAAAAA1", automationKey: "events" });
+      const unauthorized = await fetch(url, { method: "POST", body });
+      assert.equal(unauthorized.status, 401);
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { Authorization: "Bearer receiver-secret" },
+        body,
+      });
+      assert.equal(response.status, 500);
+      assert.match((await response.json()).error, /AIRTABLE_TOKEN is not set/);
+    } finally {
+      await stopReceiver(child);
+    }
+  });
+});
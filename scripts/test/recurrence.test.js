@@ -0,0 +1,125 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { buildCalendar } = require("../lib/ics");
+const { resolveRecurrence } = require("../lib/recurrence");
+
+const FIELDS = {
+  recurrenceField: "Repeat",
+  recurrenceUntilField: "Until",
+  recurrenceCountField: "Count",
+  exceptionDatesField: "Skip",
+};
+const TIMED = {
+  allDay: false,
+  timeZone: "Europe/Copenhagen",
+  startDate: new Date("2026-03-02T09:00:00Z"),
+};
+const ALL_DAY = { allDay: true, timeZone: "", startDate: new Date("2026-03-02T00:00:00Z") };
+
+function resolve(fields, timing = TIMED) {
+  return resolveRecurrence(fields, FIELDS, timing);
+}
+
+describe("resolveRecurrence", () => {
+  it("returns null for records that do not repeat", () => {
+    assert.equal(resolve({}), null);
+    assert.equal(resolve({ Repeat: "Does not repeat" }), null);
+    assert.equal(resolveRecurrence({ Repeat: "weekly" }, {}, TIMED), null);
+  });
+
+  it("maps presets and normalizes RRULE text with FREQ first", () => {
+    assert.equal(resolve({ Repeat: "Bi-weekly" }).rule, "FREQ=WEEKLY;INTERVAL=2");
+    assert.equal(
+      resolve({ Repeat: "RRULE:byday=mo,we;freq=weekly" }).rule,
+      "FREQ=WEEKLY;BYDAY=MO,WE"
+    );
+  });
+
+  it("rejects rule parts RFC 5545 does not allow", () => {
+    assert.throws(() => resolve({ Repeat: "Sometimes" }), /"Sometimes" is not a known option/);
+    assert.throws(() => resolve({ Repeat: "BYDAY=MO" }), /FREQ is required/);
+    assert.throws(() => resolve({ Repeat: "FREQ=WEEKLY;BYDAY=XX" }), /BYDAY value "XX"/);
+    assert.throws(() => resolve({ Repeat: "FREQ=MONTHLY;BYMONTHDAY=0" }), /out of range/);
+    assert.throws(
+      () => resolve({ Repeat: "FREQ=DAILY;COUNT=3;UNTIL=20260401" }),
+      /UNTIL and COUNT cannot both be set/
+    );
+  });
+
+  it("ends a timed rule at the end of the UNTIL date in the event time zone", () => {
+    const recurrence = resolve({ Repeat: "weekly", Until: "2026-03-30" });
+    assert.equal(recurrence.rule, "FREQ=WEEKLY;UNTIL=20260330T215959Z");
+    assert.equal(recurrence.until.toISOString(), "2026-03-30T21:59:59.000Z");
+  });
+
+  it("keeps UNTIL a date for all-day events", () => {
+    const recurrence = resolve({ Repeat: "FREQ=DAILY;UNTIL=20260310T120000Z" }, ALL_DAY);
+    assert.equal(recurrence.rule, "FREQ=DAILY;UNTIL=20260310");
+  });
+
+  it("adds COUNT from the count field", () => {
+    assert.equal(resolve({ Repeat: "daily", Count: 5 }).rule, "FREQ=DAILY;COUNT=5");
+    assert.throws(() => resolve({ Repeat: "daily", Count: "five" }), /positive whole number/);
+    assert.throws(
+      () => resolve({ Repeat: "daily", Until: "2026-04-01", Count: 5 }),
+      /cannot be combined/
+    );
+    assert.throws(() => resolve({ Repeat: "FREQ=DAILY;COUNT=2", Count: 5 }), /already sets/);
+  });
+
+  it("rejects an UNTIL before the start", () => {
+    assert.throws(() => resolve({ Repeat: "weekly", Until: "2026-02-01" }), /ends before/);
+  });
+
+  it("moves date-only exceptions onto the start time and drops duplicates", () => {
+    const recurrence = resolve({
+      Repeat: "weekly",
+      Skip: "2026-03-16, 2026-03-09\n2026-03-16",
+    });
+    assert.deepEqual(
+      recurrence.exceptionDates.map((date) => date.toISOString()),
+      ["2026-03-09T09:00:00.000Z", "2026-03-16T09:00:00.000Z"]
+    );
+  });
+
+  it("keeps the local start time across a DST change", () => {
+    // Copenhagen moves to summer time on 29 March 2026.
+    const recurrence = resolve({ Repeat: "weekly", Skip: ["2026-04-06"] });
+    assert.equal(recurrence.exceptionDates[0].toISOString(), "2026-04-06T08:00:00.000Z");
+  });
+});
+
+describe("RRULE and EXDATE in the ICS", () => {
+  function eventIcs(fields, timing) {
+    const recurrence = resolve(fields, timing);
+    const startDate = timing.startDate;
+    const endDate = new Date(startDate.getTime() + (timing.allDay ? 86400000 : 3600000));
+    return buildCalendar({
+      events: [
+        {
+          recordId: "recAAAAAAAAAAAAA1",
+          eventName: "Seminar",
+          startDate,
+          endDate,
+          allDay: timing.allDay,
+          timeZone: timing.timeZone,
+          recurrence,
+        },
+      ],
+    });
+  }
+
+  it("writes EXDATE in the event time zone", () => {
+    const ics = eventIcs({ Repeat: "weekly", Skip: "2026-03-09,2026-03-16" }, TIMED);
+    assert.match(ics, /\r\nRRULE:FREQ=WEEKLY\r\n/);
+    assert.match(ics, /\r\nEXDATE;TZID=Europe\/Copenhagen:20260309T100000,20260316T100000\r\n/);
+  });
+
+  it("writes all-day EXDATE values as dates", () => {
+    const ics = eventIcs({ Repeat: "daily", Skip: "2026-03-04" }, ALL_DAY);
+    assert.match(ics, /\r\nEXDATE;VALUE=DATE:20260304\r\n/);
+  });
+});
@@ -0,0 +1,155 @@
+"use strict";
+
+// sendSmtpMail against a scripted SMTP server on a local port.
+
+const assert = require("node:assert/strict");
+const net = require("node:net");
+const { after, before, beforeEach, describe, it } = require("node:test");
+
+const { sendSmtpMail } = require("../lib/smtp");
+
+let server;
+let port;
+// Commands the server received, and the message of the last DATA section.
+let commands;
+let data;
+// Replies that replace the default for a command, by the whole line or its
+// first word; "" sends no reply.
+let overrides;
+let capabilities;
+
+function reply(line) {
+  const verb = line.split(" ")[0].toUpperCase();
+  for (const key of [line, verb]) {
+    if (key in overrides) {
+      return overrides[key];
+    }
+  }
+  if (verb === "EHLO") {
+    return ["250-smtp.test", ...capabilities.map((item) => `250-${item}`), "250 SIZE 1000000"].join(
+      "\r\n"
+    );
+  }
+  return { AUTH: "235 ok", DATA: "354 go ahead", QUIT: "221 bye" }[verb] || "250 ok";
+}
+
+before(async () => {
+  server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 smtp.test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) {
+          return;
+        }
+        data = buffer.slice(0, end + 2);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write("250 queued\r\n");
+      }
+      let index;
+      while (!inData && (index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        commands.push(line);
+        const answer = reply(line);
+        if (answer) {
+          socket.write(`${answer}\r\n`);
+        }
+        if (line === "DATA" && answer.startsWith("354")) {
+          inData = true;
+        }
+        if (line === "QUIT") {
+          socket.end();
+        }
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  commands = [];
+  data = null;
+  overrides = {};
+  capabilities = ["AUTH PLAIN LOGIN"];
+});
+
+function send(options = {}) {
+  return sendSmtpMail({
+    host: "127.0.0.1",
+    port,
+    tls: "none",
+    from: "lab@example.org",
+    recipients: ["ada@example.org", "bo@example.org"],
+    message: "Subject: Test\r\n\r\nHello\r\n.hidden line\r\n",
+    ...options,
+  });
+}
+
+describe("sendSmtpMail", () => {
+  it("runs the dialogue and dot-stuffs the message", async () => {
+    await send({ user: "lab", password: "secret" });
+    const credentials = Buffer.from("\0lab\0secret").toString("base64");
+    assert.deepEqual(commands.slice(1), [
+      `AUTH PLAIN ${credentials}`,
+      "MAIL FROM:<lab@example.org>",
+      "RCPT TO:<ada@example.org>",
+      "RCPT TO:<bo@example.org>",
+      "DATA",
+      "QUIT",
+    ]);
+    assert.match(commands[0], /^EHLO \S+$/);
+    assert.equal(data, "Subject: Test\r\n\r\nHello\r\n..hidden line\r\n");
+  });
+
+  it("uses AUTH LOGIN when the server only offers it", async () => {
+    capabilities = ["AUTH LOGIN"];
+    overrides.AUTH = "334 VXNlcm5hbWU6";
+    overrides.bGFi = "334 UGFzc3dvcmQ6";
+    overrides.c2VjcmV0 = "235 ok";
+    await send({ user: "lab", password: "secret" });
+    assert.deepEqual(commands.slice(1, 4), ["AUTH LOGIN", "bGFi", "c2VjcmV0"]);
+  });
+
+  it("fails on a rejected recipient without sending the message", async () => {
+    overrides.RCPT = "550 no such user";
+    await assert.rejects(send(), /SMTP RCPT TO failed: 550 no such user/);
+    assert.equal(data, null);
+    assert.ok(!commands.includes("DATA"));
+  });
+
+  it("refuses to continue without STARTTLS when it is required", async () => {
+    await assert.rejects(send({ tls: "starttls" }), /does not offer STARTTLS/);
+  });
+
+  it("times out a connection that never completes its TLS handshake", async () => {
+    // Accepts connections but never answers the handshake.
+    const silent = net.createServer(() => {});
+    await new Promise((resolve) => silent.listen(0, "localhost", resolve));
+    const silentPort = silent.address().port;
+    try {
+      await assert.rejects(
+        send({ host: "localhost", port: silentPort, tls: "tls", timeoutMs: 200 }),
+        new RegExp(`SMTP server localhost:${silentPort} timed out`)
+      );
+    } finally {
+      silent.close();
+    }
+  });
+
+  it("times out a server that stops answering", async () => {
+    overrides.MAIL = "";
+    await assert.rejects(send({ timeoutMs: 200 }), /SMTP server 127\.0\.0\.1:\d+ timed out/);
+    assert.equal(commands[commands.length - 1], "MAIL FROM:<lab@example.org>");
+  });
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { parseTemplate, renderTemplate, templateFieldNames } = require("../lib/template");
+
+describe("parseTemplate", () => {
+  it("rejects lone braces with their position", () => {
+    assert.throws(() => parseTemplate("Talk { by {Speaker}"), /unmatched "\{" at position 6/);
+    assert.throws(() => parseTemplate("{Name} }"), /unmatched "\}" at position 8/);
+    assert.throws(() => parseTemplate("{Name}{"), /unmatched "\{" at position 7/);
+    assert.throws(() => parseTemplate("Room }"), /write \{\{ or \}\} for a literal brace/);
+  });
+
+  it("rejects unbalanced sections", () => {
+    assert.throws(() => parseTemplate("{#Room}in {Room}"), /section \{#Room\} is never closed/);
+    assert.throws(() => parseTemplate("{#Room}x{/Speaker}"), /unexpected \{\/Speaker\}/);
+    assert.throws(() => parseTemplate("x{/Room}"), /unexpected \{\/Room\}/);
+  });
+
+  it("lists the fields a template reads", () => {
+    const tree = parseTemplate("{Name} {#Room}({Room}, {Floor|?}){/Room}{^Speaker}TBA{/Speaker}");
+    assert.deepEqual(templateFieldNames(tree), ["Name", "Room", "Floor", "Speaker"]);
+  });
+});
+
+describe("renderTemplate", () => {
+  it("renders doubled braces as literal braces", () => {
+    assert.equal(renderTemplate("{{{Name}}}", { Name: "Workshop" }), "{Workshop}");
+  });
+
+  it("renders sections, inverted sections and fallbacks", () => {
+    const template = "{Name} — {Speaker|TBA}{#Room} ({Room}){/Room}{^Room} (online){/Room}";
+    assert.equal(
+      renderTemplate(template, { Name: "Talk", Speaker: "Ada", Room: "B12" }),
+      "Talk — Ada (B12)"
+    );
+    assert.equal(renderTemplate(template, { Name: "Talk", Room: [] }), "Talk — TBA (online)");
+  });
+
+  it("joins lists and applies formatters", () => {
+    const fields = {
+      Speakers: [{ name: "Ada", email: "ada@example.org" }, { name: "Bob" }],
+      Tags: ["a", "", "b"],
+      Day: "2026-05-04",
+      Start: "2026-05-04T07:00:00.000Z",
+    };
+    assert.equal(renderTemplate("{Speakers:name}", fields), "Ada, Bob");
+    assert.equal(renderTemplate("{Speakers:email}", fields), "ada@example.org");
+    assert.equal(renderTemplate("{Tags} / {Tags:count}", fields), "a, b / 3");
+    assert.equal(renderTemplate("{Day:date}", fields), "4 May 2026");
+    assert.equal(
+      renderTemplate("{Start:time}", fields, { timeZone: "Europe/Copenhagen" }),
+      "09:00"
+    );
+  });
+
+  it("escapes field values but not the template text", () => {
+    const escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+    assert.equal(
+      renderTemplate("<b>{Name}</b>", { Name: "R&D <lab>" }, { escape }),
+      "<b>R&amp;D &lt;lab></b>"
+    );
+  });
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { buildCalendar } = require("../lib/ics");
+const { buildVTimezone } = require("../lib/timezone");
+
+function observanceYears(ics) {
+  const vtimezone = ics.match(/BEGIN:VTIMEZONE[\s\S]*END:VTIMEZONE/)[0];
+  return [...vtimezone.matchAll(/\nDTSTART:(\d{4})/g)].map((match) => Number(match[1]));
+}
+
+function recurringCalendar(timeZone, rule) {
+  return buildCalendar({
+    events: [
+      {
+        recordId: "recAAAAAAAAAAAAA1",
+        eventName: "Seminar",
+        startDate: new Date("2026-05-04T07:00:00Z"),
+        endDate: new Date("2026-05-04T08:00:00Z"),
+        timeZone,
+        recurrence: { rule, until: null, exceptionDates: [] },
+      },
+    ],
+  });
+}
+
+describe("buildVTimezone", () => {
+  it("uses yearly RRULE observances for zones with stable rules", () => {
+    const lines = buildVTimezone("Europe/Copenhagen", {
+      start: new Date("2026-05-04T07:00:00Z"),
+      end: new Date("2026-05-04T08:00:00Z"),
+    });
+    assert.deepEqual(
+      lines.filter((line) => line.startsWith("RRULE:")),
+      ["RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU", "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU"]
+    );
+  });
+
+  it("has a single observance for zones without DST", () => {
+    const lines = buildVTimezone("Asia/Tokyo", {
+      start: new Date("2026-05-04T07:00:00Z"),
+      end: new Date("2026-05-04T08:00:00Z"),
+    });
+    assert.ok(lines.includes("TZOFFSETTO:+0900"));
+    assert.equal(lines.filter((line) => line.startsWith("BEGIN:STANDARD")).length, 1);
+  });
+});
+
+describe("VTIMEZONE range of recurring events", () => {
+  // Casablanca's DST follows Ramadan, so every transition is listed.
+  it("covers open-ended rules for ten years", () => {
+    const years = observanceYears(recurringCalendar("Africa/Casablanca", "FREQ=WEEKLY"));
+    assert.equal(Math.max(...years), 2036);
+  });
+
+  it("covers COUNT rules up to their last occurrence", () => {
+    const years = observanceYears(
+      recurringCalendar("Africa/Casablanca", "FREQ=MONTHLY;INTERVAL=2;COUNT=12")
+    );
+    assert.equal(Math.max(...years), 2028);
+  });
+});